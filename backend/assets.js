@@ -0,0 +1,171 @@
+// backend/assets.js
+// Self-hosted client libraries and model weights, so proctoring works where
+// the public CDNs are blocked.
+//   - Libraries are exact-pinned npm dependencies, served from node_modules at
+//     /vendor/<name>@<version>/<file>. Each file's SHA-384 is pinned here (the
+//     same value is in the <script integrity> attribute in public/index.html).
+//   - Model weights are downloaded into MODELS_DIR by tools/fetch-models.js and
+//     served at /models/<id>/<file>. Their SHA-256 sums are pinned in
+//     MODELS_DIR/SHA256SUMS.
+// Files are hashed once at startup; a file that is missing or does not match
+// its pin is not served.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const NODE_MODULES = path.join(__dirname, '..', 'node_modules');
+const MODELS_DIR = process.env.MODELS_DIR ? path.resolve(process.env.MODELS_DIR) : path.join(__dirname, 'models');
+const SUMS_FILE = 'SHA256SUMS';
+
+const VENDOR = [
+  {
+    name: 'tfjs', version: '3.21.0',
+    file: '@tensorflow/tfjs/dist/tf.min.js',
+    sha384: 'BlEG32Mzg9flv5v1KUCKonaGUK4RwdyD4EwaY/yPSyKSN7g4LI/elJN8yAq47GOb'
+  },
+  {
+    name: 'tfjs-backend-wasm', version: '3.21.0',
+    file: '@tensorflow/tfjs-backend-wasm/dist/tf-backend-wasm.min.js',
+    sha384: '5adG+eUHD2gNcRc+81qP26dKkky/v/ti4mASSCRZ/hAEdSaeXDwYyN9X3/7lYWDt'
+  },
+  // binaries the WASM backend fetches from the same directory (public/inference.js WASM_PATH)
+  {
+    name: 'tfjs-backend-wasm', version: '3.21.0',
+    file: '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm',
+    sha384: 'go7QiLENc6zNYztXfvDR88PhDx069teKd6Ah/7TNSMwjxHROU5ihUwWShy5KCpp6'
+  },
+  {
+    name: 'tfjs-backend-wasm', version: '3.21.0',
+    file: '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm',
+    sha384: 'qVmLQ4sxKsqyZpO4qcdx/hymNT/efMSQ49HPc4F903fhkx4cNOR/ha24BCkYt9c8'
+  },
+  {
+    name: 'blazeface', version: '0.0.7',
+    file: '@tensorflow-models/blazeface/dist/blazeface.min.js',
+    sha384: 'pmFVRqTsqHmtuLJVyzlEVoLnr2CAevVBYX7slpnjib4g66wM8zJV8i/0EL6U2PIk'
+  },
+  {
+    name: 'coco-ssd', version: '2.2.2',
+    file: '@tensorflow-models/coco-ssd/dist/coco-ssd.min.js',
+    sha384: '/Ze86je+L/XYNre5spsZmGKuRlc3l7SmjraCSxWNzYE5QqbnXPrhMz81bDA4fcox'
+  },
+  {
+    name: 'jspdf', version: '2.5.1',
+    file: 'jspdf/dist/jspdf.umd.min.js',
+    sha384: 'JcnsjUPPylna1s1fvi1u12X5qjY5OL56iySh75FdtrwhO/SWXgMjoVqcKyIIWOLk'
+  }
+];
+
+// Upstream locations the libraries load by default; `query` is appended to
+// every file URL (TF Hub serves the raw files only with ?tfjs-format=file)
+const MODELS = [
+  {
+    id: 'blazeface',
+    source: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1/',
+    query: '?tfjs-format=file'
+  },
+  {
+    id: 'coco-ssd',
+    source: 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/',
+    query: ''
+  }
+];
+
+function vendorUrl(v) {
+  return `/vendor/${v.name}@${v.version}/${path.basename(v.file)}`;
+}
+
+function hashFile(file, algorithm, encoding) {
+  return crypto.createHash(algorithm).update(fs.readFileSync(file)).digest(encoding);
+}
+
+// SHA256SUMS in `sha256sum` format: "<hex>  <model id>/<file>"
+function readSums(modelsDir = MODELS_DIR) {
+  const sums = new Map();
+  const file = path.join(modelsDir, SUMS_FILE);
+  if (!fs.existsSync(file)) return sums;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const m = line.trim().match(/^([0-9a-f]{64})\s+\*?(.+)$/);
+    if (m) sums.set(m[2], m[1]);
+  }
+  return sums;
+}
+
+function writeSums(sums, modelsDir = MODELS_DIR) {
+  const lines = [...sums.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([f, h]) => `${h}  ${f}\n`);
+  fs.writeFileSync(path.join(modelsDir, SUMS_FILE), lines.join(''), 'utf8');
+}
+
+// Hash every pinned file. Returns `served` (url -> absolute path) for the
+// files that check out, `models` (id -> model.json url, or null unless every
+// file of the model checks out) and the problems found.
+function verifyAssets(modelsDir = MODELS_DIR) {
+  const served = new Map();
+  const models = {};
+  const problems = [];
+
+  for (const v of VENDOR) {
+    const file = path.join(NODE_MODULES, v.file);
+    if (!fs.existsSync(file)) { problems.push(`${v.file} is not installed (npm install)`); continue; }
+    if (hashFile(file, 'sha384', 'base64') !== v.sha384) { problems.push(`${v.file} does not match its pinned sha384`); continue; }
+    served.set(vendorUrl(v), file);
+  }
+
+  const sums = readSums(modelsDir);
+  if (!sums.size) problems.push(`${path.join(modelsDir, SUMS_FILE)} is missing or empty: no model is served`);
+  for (const m of MODELS) {
+    models[m.id] = null;
+    const names = [...sums.keys()].filter(k => k.startsWith(`${m.id}/`));
+    if (!names.includes(`${m.id}/model.json`)) {
+      if (sums.size) problems.push(`model ${m.id} is not installed (npm run fetch-models)`);
+      continue;
+    }
+    let complete = true;
+    for (const name of names) {
+      const file = path.join(modelsDir, name);
+      if (!fs.existsSync(file)) { problems.push(`${name} is missing`); complete = false; }
+      else if (hashFile(file, 'sha256', 'hex') !== sums.get(name)) { problems.push(`${name} does not match SHA256SUMS`); complete = false; }
+      else served.set(`/models/${name}`, file);
+    }
+    if (complete) models[m.id] = `/models/${m.id}/model.json`;
+  }
+  return { served, models, problems };
+}
+
+// Serve the verified files. Paths carry a version (vendor) or are pinned by
+// hash (models), so clients may cache them for good. GET /api/assets lists
+// them for the service worker's precache.
+function mountAssets(app) {
+  const { served, models, problems } = verifyAssets();
+  for (const p of problems) console.warn(`Assets: ${p}`);
+  const version = crypto.createHash('sha256').update([...served.keys()].join('\n')).update(
+    [...readSums().values()].join('\n')
+  ).digest('hex').slice(0, 12);
+
+  app.get(['/vendor/*', '/models/*'], (req, res, next) => {
+    const file = served.get(req.path);
+    if (!file) return next();
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.sendFile(file);
+  });
+  app.get('/api/assets', (req, res) => {
+    res.json({
+      version,
+      files: [...served.keys()],
+      models,
+      problems
+    });
+  });
+}
+
+module.exports = {
+  MODELS,
+  MODELS_DIR,
+  SUMS_FILE,
+  VENDOR,
+  mountAssets,
+  readSums,
+  vendorUrl,
+  verifyAssets,
+  writeSums
+};
@@ -0,0 +1,141 @@
+// backend/auth.js
+// Authentication and role checks.
+//   - Tokens are stateless: base64url(JSON payload) + '.' + HMAC-SHA256 signature.
+//     Payload: { sub, role, sid?, exp }. Candidates' tokens carry the one
+//     session id (`sid`) they may touch.
+//   - Staff (proctor, admin) log in with a username/password (scrypt hashes)
+//     and get the token both in the response and as an HttpOnly cookie, so
+//     <video>, <img>, downloads and EventSource work without custom headers.
+//   - Candidates redeem a single-use invite token for a session-bound token.
+//     Where headers cannot be set (EventSource, sendBeacon) the token may be
+//     passed as ?access_token=.
+const crypto = require('crypto');
+
+const ROLES = ['candidate', 'proctor', 'admin'];
+const STAFF_ROLES = ['proctor', 'admin'];
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const COOKIE_NAME = 'pt_auth';
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 32);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Invite tokens are random; only their hash is stored on the session
+function newInviteToken() {
+  const token = b64url(crypto.randomBytes(24));
+  return { token, hash: sha256(token) };
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function createAuth(secret) {
+  function sign(data) {
+    return b64url(crypto.createHmac('sha256', secret).update(data).digest());
+  }
+
+  function signToken(claims, ttlMs = TOKEN_TTL_MS) {
+    const payload = { ...claims, exp: Date.now() + ttlMs };
+    const body = b64url(JSON.stringify(payload));
+    return { token: `${body}.${sign(body)}`, expiresAt: new Date(payload.exp).toISOString() };
+  }
+
+  // Payload if the token is authentic and unexpired, otherwise null
+  function verifyToken(token) {
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!ROLES.includes(payload.role) || !(payload.exp > Date.now())) return null;
+      return payload;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Middleware: resolve the caller (header, cookie or ?access_token=) into req.auth
+  function authenticate(req, res, next) {
+    let token = null;
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) token = header.slice(7).trim();
+    if (!token) token = parseCookies(req.get('Cookie'))[COOKIE_NAME] || null;
+    if (!token && req.query && req.query.access_token) token = String(req.query.access_token);
+    req.auth = token ? verifyToken(token) : null;
+    next();
+  }
+
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.auth) return res.status(401).json({ error: 'authentication required' });
+      if (!roles.includes(req.auth.role)) return res.status(403).json({ error: 'forbidden' });
+      next();
+    };
+  }
+
+  // After loadSession: staff may access any session; a candidate only their own
+  function requireSessionAccess(...roles) {
+    return (req, res, next) => {
+      if (!req.auth) return res.status(401).json({ error: 'authentication required' });
+      const { role, sid } = req.auth;
+      if (role === 'candidate' && roles.includes('candidate') && sid === req.proctorSession.id) return next();
+      if (role !== 'candidate' && roles.includes(role)) return next();
+      return res.status(403).json({ error: 'forbidden' });
+    };
+  }
+
+  function setAuthCookie(res, token, expiresAt) {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Expires=${new Date(expiresAt).toUTCString()}${secure}`);
+  }
+
+  function clearAuthCookie(res) {
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  return {
+    authenticate,
+    clearAuthCookie,
+    requireRole,
+    requireSessionAccess,
+    setAuthCookie,
+    signToken,
+    verifyToken
+  };
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  createAuth,
+  hashPassword,
+  newInviteToken,
+  sha256,
+  verifyPassword
+};
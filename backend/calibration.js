@@ -0,0 +1,56 @@
+// backend/calibration.js
+// Per-candidate calibration result, posted by the client after the guided
+// calibration step (computeBaseline in public/detection-core.js) and stored
+// with the session.
+
+const ANGLES = ['yaw', 'pitch', 'roll'];
+const FRACTIONS = ['centerX', 'centerY', 'faceWidth'];
+
+// Validate a posted calibration. Returns { calibration, errors }.
+function normalizeCalibration(input) {
+  const body = input || {};
+  const errors = [];
+  const calibration = {
+    ok: !!body.ok,
+    reason: body.ok ? null : String(body.reason || 'calibration failed').slice(0, 200),
+    samples: Number(body.samples) || 0,
+    frames: Number(body.frames) || 0,
+    durationMs: Number(body.durationMs) || 0,
+    baseline: null,
+    calibratedAt: new Date().toISOString()
+  };
+
+  if (calibration.ok) {
+    const b = body.baseline;
+    if (!b || typeof b !== 'object') {
+      errors.push('baseline is required when ok is true');
+    } else {
+      calibration.baseline = {};
+      for (const key of ANGLES) {
+        const v = b[key] == null ? null : Number(b[key]);
+        if (v !== null && !(Math.abs(v) <= 180)) errors.push(`baseline.${key} must be an angle in degrees or null`);
+        calibration.baseline[key] = v;
+      }
+      for (const key of FRACTIONS) {
+        const v = Number(b[key]);
+        if (!(v >= 0 && v <= 1)) errors.push(`baseline.${key} must be between 0 and 1`);
+        calibration.baseline[key] = v;
+      }
+    }
+  }
+  return { calibration, errors };
+}
+
+// One line for reports
+function calibrationSummary(c) {
+  if (!c) return 'not calibrated';
+  if (!c.ok) return `failed (${c.reason})`;
+  const b = c.baseline;
+  const pose = b.yaw == null ? 'no head pose' : `yaw ${b.yaw}°, pitch ${b.pitch}°, roll ${b.roll}°`;
+  return `${pose}; face centre (${b.centerX}, ${b.centerY}), width ${b.faceWidth} of frame; ${c.samples}/${c.frames} frames`;
+}
+
+module.exports = {
+  calibrationSummary,
+  normalizeCalibration
+};
@@ -0,0 +1,43 @@
+// backend/consent.js
+// Consent to being filmed. The candidate page shows the current consent text
+// before it asks for the camera. The version the candidate accepted, with a
+// hash of its text, is stored on the session as `consent`, and
+// /api/sessions/:id/start refuses a session without it.
+// The built-in text below is used unless CONSENT_FILE points to a JSON file
+// { version, text }. Give the text a new version whenever its wording changes.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const BUILTIN_CONSENT = {
+  version: '1',
+  text: [
+    'This interview is proctored. While the session runs, your camera and microphone are recorded and analysed in your browser to detect events such as looking away, another person in view, phones or notes, and leaving the exam window.',
+    'The recording, still images of flagged moments and the list of detected events are uploaded to the organisation running this interview and reviewed by its proctors. They are kept for the retention periods shown below and then deleted. You may ask the organisation to erase them earlier.',
+    'Select "I agree" to allow the recording. If you do not agree, the session cannot start; contact the organisation that invited you.'
+  ].join('\n\n')
+};
+
+function textHash(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// { version, text, textHash } from CONSENT_FILE, or the built-in text
+function loadConsent(env = process.env) {
+  let consent = BUILTIN_CONSENT;
+  if (env.CONSENT_FILE) {
+    try {
+      const doc = JSON.parse(fs.readFileSync(env.CONSENT_FILE, 'utf8'));
+      if (typeof doc.version !== 'string' || !doc.version.trim()) throw new Error('version must be a non-empty string');
+      if (typeof doc.text !== 'string' || !doc.text.trim()) throw new Error('text must be a non-empty string');
+      consent = { version: doc.version.trim(), text: doc.text.trim() };
+    } catch (err) {
+      console.error(`Failed to read CONSENT_FILE (${err.message}); using the built-in consent text`);
+    }
+  }
+  return { ...consent, textHash: textHash(consent.text) };
+}
+
+module.exports = {
+  BUILTIN_CONSENT,
+  loadConsent
+};
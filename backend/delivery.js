@@ -0,0 +1,101 @@
+// backend/delivery.js
+// Sequenced event delivery. The candidate page numbers its events per session
+// (seq 1, 2, 3...) and keeps each one in an outbox until the server has it
+// (public/outbox.js), so a retry can deliver the same event twice.
+//   - createSeqIndex makes /api/log idempotent on (sessionId, seq). The seqs
+//     of a session are read from storage the first time it is seen, so the
+//     index survives a restart. A seq (or the lastSeq sent at close) more than
+//     SEQ_WINDOW past the highest seq stored is refused: the page sends its
+//     events oldest first, so it cannot be one the page handed out, and it
+//     would make the delivery summary report that many events lost.
+//   - deliverySummary lists the seqs that never arrived, so a report can
+//     state that events were lost.
+// Events stored without a seq (older clients) are outside both.
+
+const SEQ_WINDOW = 1000;
+
+function createSeqIndex(storage) {
+  const seen = new Map(); // sessionId -> Promise<Set<seq>>
+
+  function load(sessionId) {
+    if (!seen.has(sessionId)) {
+      const loaded = storage.listEvents({ sessionId })
+        .then(events => new Set(events.map(ev => ev.seq).filter(Number.isInteger)));
+      loaded.catch(() => seen.delete(sessionId)); // try again on the next event
+      seen.set(sessionId, loaded);
+    }
+    return seen.get(sessionId);
+  }
+
+  // Reserve `seq`; false if the session already has it. Claims of the same
+  // seq are decided in arrival order, so concurrent retries store it once.
+  async function claim(sessionId, seq) {
+    const seqs = await load(sessionId);
+    if (seqs.has(seq)) return false;
+    seqs.add(seq);
+    return true;
+  }
+
+  // Undo a claim whose event could not be stored
+  async function release(sessionId, seq) {
+    (await load(sessionId)).delete(seq);
+  }
+
+  async function highest(sessionId) {
+    let max = 0;
+    for (const seq of await load(sessionId)) if (seq > max) max = seq;
+    return max;
+  }
+
+  // Is `seq` at most SEQ_WINDOW past the highest seq stored?
+  async function inRange(sessionId, seq) {
+    return seq <= (await highest(sessionId)) + SEQ_WINDOW;
+  }
+
+  // Drop what is cached for a session whose events were deleted
+  function forget(sessionId) {
+    seen.delete(sessionId);
+  }
+
+  return { claim, release, highest, inRange, forget };
+}
+
+// { received, highestSeq, lastSeq, missing: [[from, to], ...], missingCount },
+// or null when no event of the session carries a seq. lastSeq is the last seq
+// the page handed out (sent when it closed the session), so events lost at
+// the very end count too.
+function deliverySummary(events, lastSeq) {
+  const seqs = [...new Set(events.map(ev => ev.seq).filter(Number.isInteger))].sort((a, b) => a - b);
+  if (!seqs.length && !lastSeq) return null;
+  const highestSeq = seqs.length ? seqs[seqs.length - 1] : 0;
+  const top = Math.max(highestSeq, lastSeq || 0);
+  const missing = [];
+  let next = 1;
+  for (const seq of seqs) {
+    if (seq > next) missing.push([next, seq - 1]);
+    next = seq + 1;
+  }
+  if (top >= next) missing.push([next, top]);
+  return {
+    received: seqs.length,
+    highestSeq,
+    lastSeq: lastSeq || null,
+    missing,
+    missingCount: missing.reduce((sum, [from, to]) => sum + to - from + 1, 0)
+  };
+}
+
+// One line for reports
+function deliveryLine(d) {
+  if (!d) return 'events not sequenced';
+  if (!d.missingCount) return `${d.received} events received, none lost`;
+  const ranges = d.missing.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+  return `${d.received} events received, ${d.missingCount} lost (seq ${ranges})`;
+}
+
+module.exports = {
+  SEQ_WINDOW,
+  createSeqIndex,
+  deliveryLine,
+  deliverySummary
+};
@@ -0,0 +1,81 @@
+// backend/episodes.js
+// Collapse stored events into incidents. Conditions that last (no_face,
+// looking_away, multiple_faces) are posted as episodes: events of one type
+// sharing detail.episode, with detail.phase 'open', 'update' and 'close'
+// (see public/detection-core.js). Every other event, and every event stored
+// before episodes existed, is an incident of its own.
+
+function eventTime(ev) {
+  return ev.timestamp || ev.receivedAt || '';
+}
+
+function shiftIso(iso, ms) {
+  const t = new Date(iso).getTime();
+  return isFinite(t) ? new Date(t - ms).toISOString() : iso;
+}
+
+// Returns incidents in start order:
+//   { type, episode, startedAt, endedAt, durationMs, ongoing, events, detail }
+// startedAt is when the condition began (event time minus duration_ms).
+// ongoing is true for an episode without a close event (the page died) and
+// for a one-off event marked detail.ongoing. `detail` is the open event's
+// detail merged with the close event's.
+function collectEpisodes(events) {
+  const incidents = [];
+  const open = new Map(); // `${type}\n${episode}` -> incident
+  const ordered = events.slice().sort((a, b) => new Date(eventTime(a)) - new Date(eventTime(b)));
+
+  for (const ev of ordered) {
+    const detail = ev.detail || {};
+    const durationMs = Number(detail.duration_ms);
+    const dur = isFinite(durationMs) && durationMs > 0 ? durationMs : 0;
+
+    if (!detail.phase || detail.episode == null) {
+      const { duration_ms, ...rest } = detail;
+      incidents.push({
+        type: ev.type,
+        episode: null,
+        startedAt: shiftIso(eventTime(ev), dur),
+        endedAt: eventTime(ev),
+        durationMs: dur,
+        ongoing: !!detail.ongoing,
+        events: 1,
+        detail: rest
+      });
+      continue;
+    }
+
+    const key = `${ev.type}\n${detail.episode}`;
+    let inc = open.get(key);
+    if (!inc) {
+      // normally the open event; an update or close whose open was lost still starts one
+      inc = {
+        type: ev.type,
+        episode: String(detail.episode),
+        startedAt: shiftIso(eventTime(ev), dur),
+        endedAt: null,
+        durationMs: dur,
+        ongoing: true,
+        events: 0,
+        detail: {}
+      };
+      open.set(key, inc);
+      incidents.push(inc);
+    }
+    inc.events++;
+    inc.durationMs = Math.max(inc.durationMs, dur);
+    const { phase, episode, duration_ms, ...rest } = detail;
+    if (phase === 'open' || !Object.keys(inc.detail).length) inc.detail = rest;
+    if (phase === 'close') {
+      inc.endedAt = eventTime(ev);
+      inc.ongoing = false;
+      inc.detail = { ...inc.detail, ...rest };
+      open.delete(key);
+    }
+  }
+  return incidents.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+}
+
+module.exports = {
+  collectEpisodes
+};
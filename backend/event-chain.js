@@ -0,0 +1,188 @@
+// backend/event-chain.js
+// Tamper-evident event log. Every event stored for a session is chained to
+// the one stored before it:
+//   chainIndex  position in the session's chain (0, 1, 2...)
+//   prevHash    hash of the previous event (GENESIS_HASH for the first)
+//   hash        SHA-256 of the event's canonical JSON (sorted keys, without `hash`)
+// Editing a stored event changes its hash; removing, inserting or reordering
+// one breaks the link to its neighbour. Removing events at the end, or
+// rewriting the whole chain, is caught by the seal: when the session closes
+// the server signs the chain head (count and last hash) with HMAC-SHA256.
+// Sessions created before the chain existed have unchained events; they are
+// reported as `legacy`, not as breaks.
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted, so the hash does not depend on how a storage
+// adapter orders fields. Undefined members are dropped, as JSON.stringify does.
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : canonicalJSON(v))).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashEvent(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJSON(content)).digest('hex');
+}
+
+function sealPayload(seal) {
+  return canonicalJSON({ sessionId: seal.sessionId, count: seal.count, head: seal.head, sealedAt: seal.sealedAt });
+}
+
+function createEventChain({ storage, secret }) {
+  const heads = new Map(); // sessionId -> Promise<{ count, head }>
+  const queues = new Map(); // sessionId -> tail of that session's appends
+
+  function sign(seal) {
+    return crypto.createHmac('sha256', secret).update(sealPayload(seal)).digest('hex');
+  }
+
+  function load(sessionId) {
+    if (!heads.has(sessionId)) {
+      const loaded = storage.listEvents({ sessionId }).then(events => {
+        const last = events.filter(ev => typeof ev.hash === 'string').pop();
+        return last ? { count: last.chainIndex + 1, head: last.hash } : { count: 0, head: GENESIS_HASH };
+      });
+      loaded.catch(() => heads.delete(sessionId)); // try again on the next event
+      heads.set(sessionId, loaded);
+    }
+    return heads.get(sessionId);
+  }
+
+  // Run fn after the session's earlier appends; events of one session are chained in turn
+  function enqueue(sessionId, fn) {
+    const next = (queues.get(sessionId) || Promise.resolve()).then(fn);
+    queues.set(sessionId, next.catch(() => {})); // a failed append must not block the ones after it
+    return next;
+  }
+
+  // Link `entry` to the session's head and store it. The entry is hashed as
+  // storage will return it (a JSON round trip). Resolves with the stored entry.
+  function append(entry) {
+    return enqueue(entry.sessionId, async () => {
+      const { count, head } = await load(entry.sessionId);
+      const linked = JSON.parse(JSON.stringify({ ...entry, chainIndex: count, prevHash: head }));
+      linked.hash = hashEvent(linked);
+      await storage.appendEvent(linked);
+      heads.set(entry.sessionId, Promise.resolve({ count: count + 1, head: linked.hash }));
+      return linked;
+    });
+  }
+
+  // Signed head of the session's chain, after any append still in flight
+  function seal(sessionId) {
+    return enqueue(sessionId, async () => {
+      const { count, head } = await load(sessionId);
+      const out = { sessionId, count, head, sealedAt: new Date().toISOString() };
+      out.signature = sign(out);
+      return out;
+    });
+  }
+
+  // Re-check a session's stored events (in storage order) and its seal.
+  // Every problem is listed in `breaks` with the event's position in the
+  // stored log; `seal.problems` lists what does not match the signed head.
+  function verify(session, events) {
+    const breaks = [];
+    let chained = 0, legacy = 0, expected = 0, prev = GENESIS_HASH;
+    const hashes = [];
+    events.forEach((ev, position) => {
+      const at = {
+        position,
+        chainIndex: Number.isInteger(ev.chainIndex) ? ev.chainIndex : null,
+        seq: ev.seq || null,
+        type: ev.type,
+        timestamp: ev.timestamp || null
+      };
+      if (typeof ev.hash !== 'string') {
+        if (session.chained || chained) breaks.push({ ...at, reason: 'event is not chained' });
+        else legacy++;
+        return;
+      }
+      chained++;
+      if (at.chainIndex !== expected) {
+        breaks.push({
+          ...at,
+          reason: at.chainIndex > expected
+            ? `${at.chainIndex - expected} event(s) missing before this one`
+            : `chain index ${at.chainIndex} where ${expected} was expected (event inserted or reordered)`
+        });
+      } else if (ev.prevHash !== prev) {
+        breaks.push({ ...at, reason: 'previous hash does not match the event before it' });
+      }
+      if (hashEvent(ev) !== ev.hash) breaks.push({ ...at, reason: 'content does not match its hash (event modified)' });
+      // go on from this event, so one edit is reported once rather than for every later event
+      if (at.chainIndex != null) {
+        hashes[at.chainIndex] = ev.hash;
+        expected = at.chainIndex + 1;
+      }
+      prev = ev.hash;
+    });
+
+    let sealCheck = null;
+    const s = session.chainSeal;
+    if (s) {
+      const problems = [];
+      const given = Buffer.from(String(s.signature || ''));
+      const wanted = Buffer.from(sign(s));
+      if (s.sessionId !== session.id || given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        problems.push('seal signature is invalid');
+      }
+      if (expected < s.count) {
+        problems.push(`${s.count - expected} sealed event(s) missing at the end`);
+      } else {
+        if (expected > s.count) problems.push(`${expected - s.count} event(s) stored after the seal`);
+        if (s.count > 0 && hashes[s.count - 1] !== s.head) problems.push('sealed head does not match the stored event');
+      }
+      sealCheck = { count: s.count, head: s.head, sealedAt: s.sealedAt, valid: !problems.length, problems };
+    }
+
+    return {
+      sessionId: session.id,
+      ok: !breaks.length && (!sealCheck || sealCheck.valid),
+      events: events.length,
+      chained,
+      legacy,
+      head: chained ? prev : null,
+      sealed: !!sealCheck,
+      seal: sealCheck,
+      breaks,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+
+  // Drop the cached head of a session whose events were deleted
+  function forget(sessionId) {
+    heads.delete(sessionId);
+  }
+
+  return { append, seal, verify, forget };
+}
+
+// Final hash for reports: the seal when the session has one, otherwise the
+// last chained event; null when no event is chained
+function chainSummary(events, seal) {
+  if (seal) return { head: seal.head, count: seal.count, sealedAt: seal.sealedAt, signature: seal.signature };
+  const last = events.filter(ev => typeof ev.hash === 'string').pop();
+  return last ? { head: last.hash, count: last.chainIndex + 1, sealedAt: null, signature: null } : null;
+}
+
+// One line for reports
+function chainLine(c) {
+  if (!c) return 'events not chained';
+  return `${c.head} (${c.count} events, ${c.sealedAt ? `sealed ${c.sealedAt}` : 'not sealed'})`;
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJSON,
+  chainLine,
+  chainSummary,
+  createEventChain,
+  hashEvent
+};
@@ -0,0 +1,127 @@
+// backend/exam-profiles.js
+// Proctoring configuration profiles. The client fetches one before a session
+// starts instead of relying on constants baked into public/app.js, and the
+// applied profile is stamped into the session record.
+
+const DEFAULT_SETTINGS = {
+  backend: 'auto', // TF.js backend: 'auto' (WebGL, then WASM, then CPU), 'webgl', 'wasm' or 'cpu'
+  maxDetectionFps: 15, // upper bound of the adaptive detection rate
+  minDetectionFps: 2, // below this, reports flag detection coverage as degraded
+  faceLookAwayMs: 5000,
+  maxYawDeg: 30, // head turned further than this counts as looking away
+  maxPitchDeg: 25, // head tilted up/down further than this counts as looking away
+  noFaceMs: 10000,
+  itemDetectionConfidence: 0.45,
+  itemDebounceMs: 5000, // debounce per item type
+  itemClasses: [
+    'cell phone', 'cellphone', 'phone',
+    'laptop', 'book', 'remote',
+    'keyboard', 'mouse', 'tv', 'monitor'
+  ],
+  detectPaper: true, // bright-region paper/notes heuristic
+  audioMonitoring: true, // voice-activity analysis of the microphone
+  expectSilence: false, // flag sustained speech (written exams, not interviews)
+  speechThresholdDb: 15, // speech-band level above the adaptive noise floor
+  speechSustainMs: 3000, // speech must last this long to count as sustained
+  requireFullscreen: false, // log fullscreen_exit whenever the candidate leaves fullscreen
+  blockClipboard: true, // cancel copy/cut/paste/right-click (attempts are logged either way)
+  identityCheck: true, // enroll the candidate's face at the start and re-verify it
+  identityCheckMs: 30000, // time between re-verifications
+  identityMatchThreshold: 0.55 // face similarity (0..1) below this counts as a mismatch
+};
+
+const BUILTIN_PROFILES = [
+  {
+    id: 'default',
+    title: 'Default',
+    version: 6, // v2: audio monitoring, v3: browser-environment settings, v4: head-pose limits, v5: identity checks, v6: auto backend, detection rate
+    builtin: true,
+    settings: { ...DEFAULT_SETTINGS }
+  },
+  {
+    id: 'strict',
+    title: 'Strict (closed book, no devices)',
+    version: 6,
+    builtin: true,
+    settings: {
+      ...DEFAULT_SETTINGS,
+      faceLookAwayMs: 3000,
+      maxYawDeg: 25,
+      maxPitchDeg: 20,
+      noFaceMs: 5000,
+      itemDetectionConfidence: 0.35,
+      itemDebounceMs: 3000,
+      expectSilence: true,
+      requireFullscreen: true
+    }
+  },
+  {
+    id: 'open-book',
+    title: 'Open book',
+    version: 6,
+    builtin: true,
+    settings: {
+      ...DEFAULT_SETTINGS,
+      itemClasses: DEFAULT_SETTINGS.itemClasses.filter(c => c !== 'book'),
+      detectPaper: false
+    }
+  }
+];
+
+const DEFAULT_PROFILE_ID = process.env.EXAM_PROFILE || 'default';
+
+const BACKENDS = ['auto', 'webgl', 'wasm', 'cpu'];
+
+// Merge `input` over the defaults and validate. Returns { settings, errors }.
+function normalizeSettings(input) {
+  const settings = { ...DEFAULT_SETTINGS, ...(input || {}) };
+  const errors = [];
+
+  if (!BACKENDS.includes(settings.backend)) errors.push(`backend must be one of ${BACKENDS.join(', ')}`);
+  for (const key of ['faceLookAwayMs', 'noFaceMs', 'itemDebounceMs', 'speechThresholdDb', 'speechSustainMs', 'identityCheckMs']) {
+    settings[key] = Number(settings[key]);
+    if (!isFinite(settings[key]) || settings[key] < 0) errors.push(`${key} must be a non-negative number`);
+  }
+  for (const key of ['maxYawDeg', 'maxPitchDeg']) {
+    settings[key] = Number(settings[key]);
+    if (!(settings[key] > 0 && settings[key] < 90)) errors.push(`${key} must be between 0 and 90 degrees`);
+  }
+  for (const key of ['maxDetectionFps', 'minDetectionFps']) {
+    settings[key] = Number(settings[key]);
+    if (!(settings[key] > 0 && settings[key] <= 60)) errors.push(`${key} must be between 0 and 60`);
+  }
+  if (settings.minDetectionFps > settings.maxDetectionFps) errors.push('minDetectionFps must not exceed maxDetectionFps');
+  settings.identityMatchThreshold = Number(settings.identityMatchThreshold);
+  if (!(settings.identityMatchThreshold >= 0 && settings.identityMatchThreshold <= 1)) {
+    errors.push('identityMatchThreshold must be between 0 and 1');
+  }
+  settings.itemDetectionConfidence = Number(settings.itemDetectionConfidence);
+  if (!(settings.itemDetectionConfidence >= 0 && settings.itemDetectionConfidence <= 1)) {
+    errors.push('itemDetectionConfidence must be between 0 and 1');
+  }
+  if (!Array.isArray(settings.itemClasses)) errors.push('itemClasses must be an array of class names');
+  else settings.itemClasses = settings.itemClasses.map(c => String(c).toLowerCase());
+  settings.detectPaper = !!settings.detectPaper;
+  settings.audioMonitoring = !!settings.audioMonitoring;
+  settings.expectSilence = !!settings.expectSilence;
+  settings.requireFullscreen = !!settings.requireFullscreen;
+  settings.blockClipboard = !!settings.blockClipboard;
+  settings.identityCheck = !!settings.identityCheck;
+
+  for (const key of Object.keys(settings)) {
+    if (!(key in DEFAULT_SETTINGS)) errors.push(`unknown setting ${key}`);
+  }
+  return { settings, errors };
+}
+
+// Snapshot stamped into a session: the exact settings the client ran with
+function profileStamp(profile) {
+  return { id: profile.id, version: profile.version, title: profile.title, settings: { ...profile.settings } };
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_ID,
+  normalizeSettings,
+  profileStamp
+};
@@ -0,0 +1,96 @@
+// backend/exams.js
+// Exams: a title, a scheduled window, a maximum duration, the exam profile
+// its sessions run with, and a roster of candidates. Every roster entry gets
+// its own session and single-use invite link, created with the exam or added
+// later. A candidate can start only while the window is open. The session's
+// deadline is maxDuration after it started, or the end of the window if that
+// comes first; the candidate page stops there and the server closes whatever
+// is still running shortly after.
+
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_ROSTER = 500;
+const EMAIL_RE = /^[^@\s]+@[^@\s]+$/;
+
+// Validate an exam definition ({ title, startsAt, endsAt, maxDurationMinutes }).
+// Returns { exam, errors }; the caller adds id, profile and roster.
+function normalizeExam(input) {
+  const body = input || {};
+  const errors = [];
+  const title = String(body.title || '').trim();
+  if (!title || title.length > 200) errors.push('title must be 1-200 characters');
+  const startsAt = new Date(body.startsAt);
+  const endsAt = new Date(body.endsAt);
+  if (!body.startsAt || !isFinite(startsAt)) errors.push('startsAt must be a date');
+  if (!body.endsAt || !isFinite(endsAt)) errors.push('endsAt must be a date');
+  else if (isFinite(startsAt) && endsAt <= startsAt) errors.push('endsAt must be after startsAt');
+  const minutes = Number(body.maxDurationMinutes);
+  if (!(minutes > 0 && minutes <= MAX_DURATION_MINUTES)) errors.push(`maxDurationMinutes must be between 0 and ${MAX_DURATION_MINUTES}`);
+  if (errors.length) return { exam: null, errors };
+  return {
+    exam: {
+      title,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      maxDurationMs: Math.round(minutes * 60 * 1000)
+    },
+    errors
+  };
+}
+
+// Validate roster entries (names, or { name, email }). An email may appear
+// once per exam, counting the `existing` roster. Returns { candidates, errors }.
+function normalizeRoster(input, existing = []) {
+  const list = Array.isArray(input) ? input : [];
+  const errors = [];
+  if (!list.length) errors.push('candidates must list at least one candidate');
+  if (existing.length + list.length > MAX_ROSTER) errors.push(`an exam takes at most ${MAX_ROSTER} candidates`);
+  const emails = new Set(existing.map(c => c.email).filter(Boolean));
+  const candidates = [];
+  list.forEach((item, i) => {
+    const entry = typeof item === 'string' ? { name: item } : (item || {});
+    const name = String(entry.name || '').trim();
+    const email = entry.email == null || entry.email === '' ? null : String(entry.email).trim().toLowerCase();
+    if (!name || name.length > 200) errors.push(`candidates[${i}].name must be 1-200 characters`);
+    if (email !== null && !EMAIL_RE.test(email)) errors.push(`candidates[${i}].email is not an email address`);
+    else if (email !== null && emails.has(email)) errors.push(`candidates[${i}].email is already on the roster`);
+    if (email) emails.add(email);
+    candidates.push({ name, email });
+  });
+  return { candidates, errors };
+}
+
+// 'upcoming', 'open' or 'closed' at `now`
+function examWindow(exam, now = Date.now()) {
+  if (now < new Date(exam.startsAt).getTime()) return 'upcoming';
+  if (now >= new Date(exam.endsAt).getTime()) return 'closed';
+  return 'open';
+}
+
+// When a session of `exam` started at `startedAt` has to end
+function sessionDeadline(exam, startedAt) {
+  const byDuration = new Date(startedAt).getTime() + exam.maxDurationMs;
+  return new Date(Math.min(byDuration, new Date(exam.endsAt).getTime())).toISOString();
+}
+
+// What the candidate page needs: the window, the duration and the server's
+// clock (so the countdown does not depend on the candidate's clock)
+function candidateView(exam, now = Date.now()) {
+  return {
+    id: exam.id,
+    title: exam.title,
+    startsAt: exam.startsAt,
+    endsAt: exam.endsAt,
+    maxDurationMs: exam.maxDurationMs,
+    window: examWindow(exam, now),
+    serverTime: new Date(now).toISOString()
+  };
+}
+
+module.exports = {
+  MAX_ROSTER,
+  candidateView,
+  examWindow,
+  normalizeExam,
+  normalizeRoster,
+  sessionDeadline
+};
@@ -0,0 +1,92 @@
+// backend/live.js
+// Server-push channel (Server-Sent Events, no dependency).
+//   - Proctor consoles subscribe to one or more sessions (or all of them) and
+//     receive every stored event and session open/close as it happens.
+//   - Each candidate page holds a channel for its own session and receives
+//     proctor commands (warning / terminate). Commands sent while the candidate
+//     is disconnected are queued and delivered on reconnect.
+
+const HEARTBEAT_MS = 25000;
+
+function openStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  const hb = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => clearInterval(hb));
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function createLiveHub() {
+  const proctors = new Set(); // { res, sessions: Set|null (null = all) }
+  const candidates = new Map(); // sessionId -> Set<res>
+  const pending = new Map(); // sessionId -> [command]
+
+  function toProctors(sessionId, event, data) {
+    for (const p of proctors) {
+      if (!p.sessions || p.sessions.has(sessionId)) send(p.res, event, data);
+    }
+  }
+
+  // Proctor subscription; `sessionIds` empty means every session
+  function subscribeProctor(req, res, sessionIds) {
+    openStream(req, res);
+    const sub = { res, sessions: sessionIds && sessionIds.length ? new Set(sessionIds) : null };
+    proctors.add(sub);
+    req.on('close', () => proctors.delete(sub));
+    send(res, 'ready', { sessions: sub.sessions ? [...sub.sessions] : 'all' });
+  }
+
+  function subscribeCandidate(req, res, sessionId) {
+    openStream(req, res);
+    if (!candidates.has(sessionId)) candidates.set(sessionId, new Set());
+    candidates.get(sessionId).add(res);
+    req.on('close', () => {
+      const set = candidates.get(sessionId);
+      if (!set) return;
+      set.delete(res);
+      if (!set.size) candidates.delete(sessionId);
+      toProctors(sessionId, 'presence', { sessionId, connected: candidates.has(sessionId) });
+    });
+    send(res, 'ready', { sessionId });
+    for (const cmd of pending.get(sessionId) || []) send(res, 'command', cmd);
+    pending.delete(sessionId);
+    toProctors(sessionId, 'presence', { sessionId, connected: true });
+  }
+
+  function publishEvent(entry) {
+    toProctors(entry.sessionId, 'event', entry);
+  }
+
+  function publishSession(session) {
+    if (session.status === 'closed') pending.delete(session.id);
+    toProctors(session.id, 'session', session);
+  }
+
+  // Deliver a proctor command; returns how many candidate pages received it
+  function sendCommand(sessionId, command) {
+    const set = candidates.get(sessionId);
+    if (!set || !set.size) {
+      if (!pending.has(sessionId)) pending.set(sessionId, []);
+      pending.get(sessionId).push(command);
+      return 0;
+    }
+    for (const res of set) send(res, 'command', command);
+    return set.size;
+  }
+
+  function isConnected(sessionId) {
+    return candidates.has(sessionId);
+  }
+
+  return { subscribeProctor, subscribeCandidate, publishEvent, publishSession, sendCommand, isConnected };
+}
+
+module.exports = { createLiveHub };
@@ -0,0 +1,431 @@
+// backend/report.js
+// Server-side report generation. The report is rebuilt from the stored
+// events of a session, so the client can no longer dictate counts or score.
+// Counts are per incident: an episode (open/update/close events) counts once.
+// detection_telemetry events are summarized under `telemetry` and
+// attention_sample events under `attention` (time focused, focus over time,
+// face-position heatmap) instead of being listed with the other events.
+// `delivery` lists the sequenced events that never reached the server, and
+// `chain` the final hash of the session's event chain (signed at close). An
+// exported report can be checked against GET /api/sessions/:id/verify later.
+// Once a session's events are purged under the retention policy there is
+// nothing left to count or score: `eventsPurgedAt` is set and the counts,
+// integrityScore and the summaries built from events are null.
+const PDFDocument = require('pdfkit');
+const { scoreEvents } = require('./scoring');
+const { collectEpisodes } = require('./episodes');
+const { calibrationSummary } = require('./calibration');
+const { TELEMETRY_TYPE, sessionTelemetry, telemetryLine } = require('./telemetry');
+const { deliverySummary, deliveryLine } = require('./delivery');
+const { chainSummary, chainLine } = require('./event-chain');
+const Attention = require('../public/attention');
+
+// event type -> report counter field
+const COUNTED_TYPES = {
+  looking_away: 'lookingAwayCount',
+  no_face: 'noFaceCount',
+  multiple_faces: 'multipleFacesCount',
+  object_detected: 'objectDetectedCount',
+  sustained_speech: 'sustainedSpeechCount',
+  speech_without_face: 'speechWithoutFaceCount',
+  tab_hidden: 'tabHiddenCount',
+  window_blur: 'windowBlurCount',
+  fullscreen_exit: 'fullscreenExitCount',
+  clipboard_attempt: 'clipboardAttemptCount',
+  page_unload: 'pageUnloadCount',
+  identity_mismatch: 'identityMismatchCount'
+};
+
+// Humanize ms
+function msToHuman(ms) {
+  if (!isFinite(ms) || ms <= 0) return '0s';
+  const s = Math.round(ms / 1000);
+  const hh = Math.floor(s / 3600);
+  const mm = Math.floor((s % 3600) / 60);
+  const ss = s % 60;
+  return (hh ? hh + 'h ' : '') + (mm ? mm + 'm ' : '') + ss + 's';
+}
+
+function eventTime(ev) {
+  return ev.timestamp || ev.receivedAt || '';
+}
+
+// Build report object from a session and its stored events, scored under `policy`
+function buildReport(session, events, policy) {
+  const endedAt = session.endedAt || null;
+  const eventsPurgedAt = (session.purged && session.purged.events) || null;
+  // a session that was never started (invite not used) has no duration
+  const durationMs = session.startedAt ? new Date(endedAt || Date.now()) - new Date(session.startedAt) : 0;
+
+  const incidents = collectEpisodes(events).filter(inc => COUNTED_TYPES[inc.type]);
+  const counts = {};
+  for (const field of Object.values(COUNTED_TYPES)) counts[field] = 0;
+  for (const inc of incidents) counts[COUNTED_TYPES[inc.type]]++;
+
+  const scoring = scoreEvents(policy, events, durationMs);
+  const summarized = new Set([TELEMETRY_TYPE, Attention.SAMPLE_TYPE]);
+  const ordered = events.filter(ev => !summarized.has(ev.type)).sort((a, b) => new Date(eventTime(a)) - new Date(eventTime(b)));
+
+  const report = {
+    sessionId: session.id,
+    candidateName: session.candidateName || 'Unknown',
+    exam: session.exam || null,
+    status: session.status,
+    examProfile: session.profile ? `${session.profile.id}@${session.profile.version}` : null,
+    calibration: session.calibration || null,
+    identity: session.identity || null,
+    consent: session.consent || null,
+    purged: session.purged || null,
+    eventsPurgedAt,
+    telemetry: sessionTelemetry(session, events),
+    attention: Attention.summarizeEvents(events, session.startedAt),
+    delivery: deliverySummary(events, session.lastEventSeq),
+    chain: chainSummary(events, session.chainSeal),
+    startedAt: session.startedAt,
+    endedAt,
+    durationMs,
+    durationHuman: msToHuman(durationMs),
+    ...counts,
+    integrityScore: scoring.score,
+    scoring,
+    video: session.video ? session.video.path : null,
+    generatedAt: new Date().toISOString(),
+    episodes: incidents.map(inc => ({
+      type: inc.type,
+      startedAt: inc.startedAt,
+      endedAt: inc.endedAt,
+      durationMs: inc.durationMs,
+      durationHuman: msToHuman(inc.durationMs),
+      ongoing: inc.ongoing,
+      detail: inc.detail
+    })),
+    events: ordered.map(ev => ({
+      timestamp: eventTime(ev),
+      type: ev.type,
+      ...(ev.seq ? { seq: ev.seq } : {}),
+      detail: ev.detail || {},
+      ...(ev.snapshot ? { snapshot: ev.snapshot } : {})
+    }))
+  };
+  if (!eventsPurgedAt) return report;
+  for (const field of Object.values(COUNTED_TYPES)) report[field] = null;
+  return { ...report, integrityScore: null, scoring: null, telemetry: null, attention: null, delivery: null, chain: null };
+}
+
+// `text`, or that the events it is built from were purged
+function unlessPurged(report, text) {
+  return report.eventsPurgedAt ? `not available (events purged ${report.eventsPurgedAt})` : text;
+}
+
+function consentSummary(consent) {
+  return consent ? `version ${consent.version}, accepted ${consent.acceptedAt}` : 'not recorded';
+}
+
+// Data deleted under the retention policy; counts and events above reflect what is left
+function purgedSummary(purged) {
+  const kinds = Object.entries(purged || {});
+  return kinds.length ? kinds.map(([kind, at]) => `${kind} purged ${at}`).join('; ') : 'nothing purged';
+}
+
+function identitySummary(identity) {
+  if (!identity || !identity.enrolledAt) return identity && identity.reference ? 'reference photo only, not enrolled' : 'not enrolled';
+  let text = `enrolled at ${identity.enrolledAt} (${identity.enrollment.length} images)`;
+  if (identity.reference) {
+    text += identity.referenceSimilarity == null
+      ? '; reference photo not compared'
+      : `; reference photo similarity ${identity.referenceSimilarity}`;
+  }
+  return text;
+}
+
+// Reference photo and enrollment images side by side
+function identityThumbs(doc, identity, opts) {
+  if (!identity || !opts.snapshotFile) return;
+  const images = [...(identity.reference ? [identity.reference] : []), ...(identity.enrollment || [])];
+  const files = images.map(img => opts.snapshotFile(img.id)).filter(Boolean);
+  if (!files.length) return;
+  if (doc.y + THUMB_H > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  const top = doc.y + 4;
+  files.forEach((file, i) => {
+    try {
+      doc.image(file, doc.page.margins.left + i * (THUMB_W + 6), top, { fit: [THUMB_W, THUMB_H] });
+    } catch (e) {
+      console.error('PDF identity image embed failed:', e.message);
+    }
+  });
+  doc.y = top + THUMB_H + 4;
+  doc.x = doc.page.margins.left;
+}
+
+// Attention line, focus-over-time chart and face-position heatmap
+// (rectangles laid out by public/attention.js, as in the preview PDF)
+function attentionSection(doc, attention) {
+  doc.fontSize(10).text(`Attention: ${Attention.attentionLine(attention)}`);
+  if (!attention) return;
+  const left = doc.page.margins.left;
+  if (doc.y + 130 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  const top = doc.y + 4;
+  const rects = [...Attention.chartRects(attention, left, top, 360, 60), ...Attention.heatmapRects(attention, left + 380, top, 100)];
+  for (const r of rects) doc.rect(r.x, r.y, r.w, r.h).fill(r.color);
+  doc.fillColor('gray').fontSize(9);
+  doc.text(`Focus over time (bars of ${attention.bucketSec}s)`, left, top + 64);
+  doc.text('Face positions', left + 380, top + 104);
+  doc.fillColor('black').fontSize(10);
+  doc.x = left;
+  doc.y = top + 120;
+}
+
+function csvCell(value) {
+  let v = value == null ? '' : String(value);
+  v = v.replace(/"/g, '""'); // escape quotes
+  if (/[,"\n]/.test(v)) v = `"${v}"`; // quote if needed
+  return v;
+}
+
+// ✅ CSV (no dependency): summary rows, then the event table
+function reportToCSV(report) {
+  const rows = [
+    ['Session ID', report.sessionId],
+    ['Candidate Name', report.candidateName],
+    ['Exam', report.exam ? `${report.exam.title} (${report.exam.id})` : ''],
+    ['Exam Profile', report.examProfile],
+    ['Calibration', calibrationSummary(report.calibration)],
+    ['Detection', unlessPurged(report, telemetryLine(report.telemetry))],
+    ['Attention', unlessPurged(report, Attention.attentionLine(report.attention))],
+    ['Event Delivery', unlessPurged(report, deliveryLine(report.delivery))],
+    ['Event Chain Head', unlessPurged(report, chainLine(report.chain))],
+    ['Started At', report.startedAt],
+    ['Ended At', report.endedAt],
+    ['Duration (ms)', report.durationMs],
+    ['Duration', report.durationHuman],
+    ['Looking Away Count', report.lookingAwayCount],
+    ['No Face Count', report.noFaceCount],
+    ['Multiple Faces Count', report.multipleFacesCount],
+    ['Object Detected Count', report.objectDetectedCount],
+    ['Sustained Speech Count', report.sustainedSpeechCount],
+    ['Speech Without Face Count', report.speechWithoutFaceCount],
+    ['Tab Hidden Count', report.tabHiddenCount],
+    ['Window Blur Count', report.windowBlurCount],
+    ['Fullscreen Exit Count', report.fullscreenExitCount],
+    ['Clipboard Attempt Count', report.clipboardAttemptCount],
+    ['Page Unload Count', report.pageUnloadCount],
+    ['Identity Mismatch Count', report.identityMismatchCount],
+    ['Identity', identitySummary(report.identity)],
+    ['Consent', consentSummary(report.consent)],
+    ['Retention', purgedSummary(report.purged)],
+    ['Integrity Score', unlessPurged(report, report.integrityScore)],
+    ['Scoring Policy', report.scoring ? report.scoring.policy : ''],
+    ['Normalization Factor', report.scoring ? report.scoring.normalizationFactor : ''],
+    ['Generated At', report.generatedAt],
+    [],
+    ['Episode Start', 'Episode End', 'Type', 'Duration (ms)', 'Ongoing', 'Detail JSON']
+  ];
+  for (const ep of report.episodes) {
+    rows.push([ep.startedAt, ep.endedAt, ep.type, ep.durationMs, ep.ongoing ? 'yes' : '', JSON.stringify(ep.detail)]);
+  }
+  if (report.telemetry && report.telemetry.degraded.length) {
+    rows.push([], ['Degraded From', 'Degraded To', 'Duration (ms)', 'FPS', 'Dropped Frames', 'Reason']);
+    for (const p of report.telemetry.degraded) rows.push([p.from, p.to, p.durationMs, p.fps, p.dropped, p.reason]);
+  }
+  if (report.attention) {
+    rows.push([], ['Offset (s)', 'Measured Seconds', 'Focused %']);
+    for (const b of report.attention.timeline) rows.push([b.offsetSec, b.measuredSeconds, b.focusedPct]);
+  }
+  rows.push([], ['Event Timestamp', 'Type', 'Detail JSON', 'Snapshot']);
+  for (const ev of report.events) {
+    rows.push([ev.timestamp, ev.type, JSON.stringify(ev.detail), ev.snapshot ? ev.snapshot.path : '']);
+  }
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+// Incident counts, one line per kind
+function writeCounts(doc, report) {
+  doc.text(`Looking-away events: ${report.lookingAwayCount}`);
+  doc.text(`No-face events: ${report.noFaceCount}`);
+  doc.text(`Multiple faces events: ${report.multipleFacesCount}`);
+  doc.text(`Object-detected events: ${report.objectDetectedCount}`);
+  doc.text(`Sustained-speech events: ${report.sustainedSpeechCount}`);
+  doc.text(`Speech-without-face events: ${report.speechWithoutFaceCount}`);
+  doc.text(`Tab-hidden events: ${report.tabHiddenCount}`);
+  doc.text(`Window-blur events: ${report.windowBlurCount}`);
+  doc.text(`Fullscreen-exit events: ${report.fullscreenExitCount}`);
+  doc.text(`Clipboard attempts: ${report.clipboardAttemptCount}`);
+  doc.text(`Page unloads: ${report.pageUnloadCount}`);
+  doc.text(`Identity mismatches: ${report.identityMismatchCount}`);
+}
+
+const THUMB_W = 120;
+const THUMB_H = 90;
+
+// Stream a PDF rendering of the report into `out` (e.g. an express response).
+// `opts.snapshotFile(id)` maps an event's snapshot id to a local image file so
+// the thumbnail can be placed next to the event.
+function writeReportPDF(report, out, opts = {}) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(out);
+
+  doc.fontSize(18).text('Proctoring Report');
+  doc.moveDown(0.5);
+  doc.fontSize(11);
+  doc.text(`Session: ${report.sessionId}`);
+  doc.text(`Candidate: ${report.candidateName}`);
+  if (report.exam) doc.text(`Exam: ${report.exam.title}`);
+  if (report.examProfile) doc.text(`Exam profile: ${report.examProfile}`);
+  doc.text(`Calibration: ${calibrationSummary(report.calibration)}`);
+  doc.text(`Detection: ${unlessPurged(report, telemetryLine(report.telemetry))}`);
+  for (const p of (report.telemetry && report.telemetry.degraded) || []) {
+    doc.text(`  degraded ${p.from} — ${p.to}: ${p.fps} fps, ${p.dropped} dropped (${p.reason})`);
+  }
+  doc.text(`Event delivery: ${unlessPurged(report, deliveryLine(report.delivery))}`);
+  doc.text(`Event chain head: ${unlessPurged(report, chainLine(report.chain))}`);
+  doc.text(`Started: ${report.startedAt}`);
+  doc.text(`Ended: ${report.endedAt || '(in progress)'}`);
+  doc.text(`Duration: ${report.durationHuman} (${report.durationMs} ms)`);
+  doc.moveDown(0.5);
+  if (report.eventsPurgedAt) doc.text(`Events: ${unlessPurged(report, '')}`);
+  else writeCounts(doc, report);
+  doc.text(`Consent: ${consentSummary(report.consent)}`);
+  doc.text(`Retention: ${purgedSummary(report.purged)}`);
+  doc.text(`Identity: ${identitySummary(report.identity)}`);
+  identityThumbs(doc, report.identity, opts);
+  doc.moveDown(0.5);
+  doc.fontSize(13).text(`Integrity Score: ${unlessPurged(report, report.integrityScore)}`);
+  doc.fontSize(10);
+  if (report.scoring) {
+    doc.text(`Scoring policy: ${report.scoring.policy} (normalization x${report.scoring.normalizationFactor})`);
+    for (const [type, b] of Object.entries(report.scoring.breakdown)) {
+      if (!b.count) continue;
+      doc.text(`  ${type}: ${b.count} events, ${b.seconds}s, deducted ${b.deduction}${b.capped ? ' (capped)' : ''}`);
+    }
+  }
+  doc.moveDown(0.5);
+  if (report.eventsPurgedAt) doc.text(`Attention: ${unlessPurged(report, '')}`);
+  else attentionSection(doc, report.attention);
+  doc.moveDown(0.5);
+  doc.fontSize(9).fillColor('gray').text(`Generated by server at ${report.generatedAt}`).fillColor('black');
+  doc.moveDown();
+
+  doc.fontSize(10).text('Episodes:');
+  for (const ep of report.episodes) {
+    const dur = ep.durationMs ? ` — ${ep.durationHuman}` : '';
+    doc.text(`${ep.startedAt} — ${ep.type}${dur}${ep.ongoing ? ' (ongoing)' : ''}`, doc.page.margins.left);
+  }
+  doc.moveDown();
+
+  doc.fontSize(10).text('Events:');
+  const left = doc.page.margins.left;
+  for (const ev of report.events) {
+    const line = `${ev.timestamp} — ${ev.type} — ${JSON.stringify(ev.detail)}`;
+    const file = ev.snapshot && opts.snapshotFile ? opts.snapshotFile(ev.snapshot.id) : null;
+    if (!file) {
+      doc.text(line, left);
+      continue;
+    }
+    if (doc.y + THUMB_H > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y;
+    try {
+      doc.image(file, left, top, { fit: [THUMB_W, THUMB_H] });
+    } catch (e) {
+      console.error('PDF snapshot embed failed:', e.message);
+    }
+    const textW = doc.page.width - doc.page.margins.right - left - THUMB_W - 10;
+    doc.text(line, left + THUMB_W + 10, top, { width: textW });
+    doc.y = Math.max(doc.y, top + THUMB_H) + 6;
+  }
+
+  doc.end();
+}
+
+// Exam-level summary. `rows` has one { session, report } per roster
+// candidate; report is null for a session that never started. A session whose
+// events were purged has nothing left to score: its integrityScore and
+// incidents are null, eventsPurgedAt says when, and it is left out of `scores`.
+//   { examId, title, startsAt, endsAt, maxDurationMs, generatedAt,
+//     totals: { candidates, notStarted, inProgress, completed, eventsPurged },
+//     scores: { count, mean, median, min, max },
+//     candidates: [{ candidateId, name, email, sessionId, status, startedAt,
+//                    endedAt, durationMs, endReason, integrityScore, incidents,
+//                    eventsPurgedAt }] }
+function buildExamSummary(exam, rows) {
+  const candidates = rows.map(({ session, report }) => {
+    const purgedAt = (session.purged && session.purged.events) || null;
+    const scored = report && !purgedAt;
+    return {
+      candidateId: session.candidateId || null,
+      name: session.candidateName,
+      email: session.candidateEmail || null,
+      sessionId: session.id,
+      status: session.status,
+      startedAt: session.startedAt || null,
+      endedAt: session.endedAt || null,
+      durationMs: report ? report.durationMs : 0,
+      endReason: session.endReason || null,
+      integrityScore: scored ? report.integrityScore : null,
+      incidents: scored ? report.episodes.length : null,
+      eventsPurgedAt: purgedAt
+    };
+  });
+  const scores = candidates.map(c => c.integrityScore).filter(v => v != null).sort((a, b) => a - b);
+  const round = (v) => Math.round(v * 10) / 10;
+  const mid = Math.floor(scores.length / 2);
+  return {
+    examId: exam.id,
+    title: exam.title,
+    startsAt: exam.startsAt,
+    endsAt: exam.endsAt,
+    maxDurationMs: exam.maxDurationMs,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      candidates: candidates.length,
+      notStarted: candidates.filter(c => c.status === 'invited').length,
+      inProgress: candidates.filter(c => c.status === 'active').length,
+      completed: candidates.filter(c => c.status === 'closed').length,
+      eventsPurged: candidates.filter(c => c.eventsPurgedAt).length
+    },
+    scores: scores.length
+      ? {
+        count: scores.length,
+        mean: round(scores.reduce((sum, v) => sum + v, 0) / scores.length),
+        median: scores.length % 2 ? scores[mid] : round((scores[mid - 1] + scores[mid]) / 2),
+        min: scores[0],
+        max: scores[scores.length - 1]
+      }
+      : { count: 0, mean: null, median: null, min: null, max: null },
+    candidates
+  };
+}
+
+// CSV of an exam summary: totals and score statistics, then one row per candidate
+function examSummaryToCSV(summary) {
+  const rows = [
+    ['Exam ID', summary.examId],
+    ['Title', summary.title],
+    ['Window Opens', summary.startsAt],
+    ['Window Closes', summary.endsAt],
+    ['Max Duration', msToHuman(summary.maxDurationMs)],
+    ['Candidates', summary.totals.candidates],
+    ['Not Started', summary.totals.notStarted],
+    ['In Progress', summary.totals.inProgress],
+    ['Completed', summary.totals.completed],
+    ['Events Purged', summary.totals.eventsPurged],
+    ['Mean Score', summary.scores.mean],
+    ['Median Score', summary.scores.median],
+    ['Min Score', summary.scores.min],
+    ['Max Score', summary.scores.max],
+    ['Generated At', summary.generatedAt],
+    [],
+    ['Candidate', 'Email', 'Session ID', 'Status', 'Started At', 'Ended At', 'Duration (ms)', 'End Reason', 'Integrity Score', 'Incidents', 'Events Purged At']
+  ];
+  for (const c of summary.candidates) {
+    rows.push([c.name, c.email, c.sessionId, c.status, c.startedAt, c.endedAt, c.durationMs, c.endReason, c.integrityScore, c.incidents, c.eventsPurgedAt]);
+  }
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+module.exports = {
+  buildExamSummary,
+  buildReport,
+  examSummaryToCSV,
+  reportToCSV,
+  writeReportPDF
+};
@@ -0,0 +1,50 @@
+// backend/retention.js
+// Retention periods for what a session leaves behind. Each kind is purged a
+// set number of days after the session ended (or started, for a session that
+// was never closed; one that never started has nothing to purge):
+//   RETENTION_VIDEO_DAYS     the recording and any unassembled chunks
+//   RETENTION_SNAPSHOT_DAYS  evidence snapshots and identity images
+//   RETENTION_EVENT_DAYS     the event log
+// Unset or 0 keeps that kind forever. The server looks for due purges at
+// startup and every RETENTION_INTERVAL_MINUTES (default 60), and records each
+// purge in session.purged and in the audit log.
+
+const PURGE_KINDS = ['video', 'snapshots', 'events'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionConfig(env = process.env) {
+  const days = (v) => (Number(v) > 0 ? Number(v) : null);
+  const minutes = Number(env.RETENTION_INTERVAL_MINUTES) > 0 ? Number(env.RETENTION_INTERVAL_MINUTES) : 60;
+  return {
+    video: days(env.RETENTION_VIDEO_DAYS),
+    snapshots: days(env.RETENTION_SNAPSHOT_DAYS),
+    events: days(env.RETENTION_EVENT_DAYS),
+    intervalMs: minutes * 60 * 1000
+  };
+}
+
+function retentionEnabled(config) {
+  return PURGE_KINDS.some(kind => config[kind]);
+}
+
+// Kinds of `session` whose retention period has run out and that are not purged yet
+function duePurges(session, config, now = Date.now()) {
+  if (!session.startedAt) return [];
+  const since = new Date(session.endedAt || session.startedAt).getTime();
+  if (!isFinite(since)) return [];
+  const purged = session.purged || {};
+  return PURGE_KINDS.filter(kind => config[kind] && !purged[kind] && now - since >= config[kind] * DAY_MS);
+}
+
+// Retention periods in days (null = kept), as shown to candidates
+function retentionDays(config) {
+  return { video: config.video, snapshots: config.snapshots, events: config.events };
+}
+
+module.exports = {
+  PURGE_KINDS,
+  duePurges,
+  retentionConfig,
+  retentionDays,
+  retentionEnabled
+};
@@ -0,0 +1,170 @@
+// backend/scoring.js
+// Named, versioned scoring policies. A published policy version is never
+// edited in place: change the numbers by adding a new version, so reports
+// that recorded an older id can still be recomputed exactly.
+//
+// Policy fields:
+//   weights       points deducted per event, by event type
+//   perSecond     points deducted per second of `detail.duration_ms`, by type
+//   caps          maximum total deduction for a type
+//   normalization { referenceMs } — deductions are scaled by
+//                 referenceMs / sessionDuration for sessions longer than
+//                 referenceMs, so the score reflects the rate of incidents
+//                 rather than the length of the interview
+//
+// Weights apply per incident (see episodes.js): an episode's open, update
+// and close events count once, for its total duration. Events stored before
+// episodes existed are one incident each, so old scores are unchanged.
+const { collectEpisodes } = require('./episodes');
+
+const POLICIES = [
+  {
+    name: 'legacy',
+    version: 1,
+    description: 'Flat per-event deductions (original client-side formula)',
+    weights: { looking_away: 6, no_face: 12, multiple_faces: 20, object_detected: 3 },
+    perSecond: {},
+    caps: {},
+    normalization: null
+  },
+  {
+    name: 'standard',
+    version: 1,
+    description: 'Per-event + per-second deductions, capped per type, normalized to 30 minutes',
+    weights: { looking_away: 3, no_face: 5, multiple_faces: 15, object_detected: 5 },
+    perSecond: { looking_away: 0.2, no_face: 0.5 },
+    caps: { looking_away: 30, no_face: 40, multiple_faces: 60, object_detected: 30 },
+    normalization: { referenceMs: 30 * 60 * 1000 }
+  },
+  {
+    name: 'standard',
+    version: 2,
+    description: 'standard@1 plus audio events (sustained speech, speech without a face)',
+    weights: {
+      looking_away: 3, no_face: 5, multiple_faces: 15, object_detected: 5,
+      sustained_speech: 4, speech_without_face: 10
+    },
+    perSecond: { looking_away: 0.2, no_face: 0.5, sustained_speech: 0.2, speech_without_face: 0.5 },
+    caps: {
+      looking_away: 30, no_face: 40, multiple_faces: 60, object_detected: 30,
+      sustained_speech: 30, speech_without_face: 40
+    },
+    normalization: { referenceMs: 30 * 60 * 1000 }
+  },
+  {
+    name: 'standard',
+    version: 3,
+    description: 'standard@2 plus browser-environment events (tab/focus/fullscreen/clipboard/unload)',
+    weights: {
+      looking_away: 3, no_face: 5, multiple_faces: 15, object_detected: 5,
+      sustained_speech: 4, speech_without_face: 10,
+      tab_hidden: 8, window_blur: 4, fullscreen_exit: 6, clipboard_attempt: 3, page_unload: 10
+    },
+    perSecond: {
+      looking_away: 0.2, no_face: 0.5, sustained_speech: 0.2, speech_without_face: 0.5,
+      tab_hidden: 0.5, window_blur: 0.2, fullscreen_exit: 0.2
+    },
+    caps: {
+      looking_away: 30, no_face: 40, multiple_faces: 60, object_detected: 30,
+      sustained_speech: 30, speech_without_face: 40,
+      tab_hidden: 50, window_blur: 30, fullscreen_exit: 30, clipboard_attempt: 20, page_unload: 30
+    },
+    normalization: { referenceMs: 30 * 60 * 1000 }
+  },
+  {
+    name: 'standard',
+    version: 4,
+    description: 'standard@3 plus identity_mismatch (the person on camera no longer matches the enrollment)',
+    weights: {
+      looking_away: 3, no_face: 5, multiple_faces: 15, object_detected: 5,
+      sustained_speech: 4, speech_without_face: 10,
+      tab_hidden: 8, window_blur: 4, fullscreen_exit: 6, clipboard_attempt: 3, page_unload: 10,
+      identity_mismatch: 25
+    },
+    perSecond: {
+      looking_away: 0.2, no_face: 0.5, sustained_speech: 0.2, speech_without_face: 0.5,
+      tab_hidden: 0.5, window_blur: 0.2, fullscreen_exit: 0.2
+    },
+    caps: {
+      looking_away: 30, no_face: 40, multiple_faces: 60, object_detected: 30,
+      sustained_speech: 30, speech_without_face: 40,
+      tab_hidden: 50, window_blur: 30, fullscreen_exit: 30, clipboard_attempt: 20, page_unload: 30,
+      identity_mismatch: 75
+    },
+    normalization: { referenceMs: 30 * 60 * 1000 }
+  }
+];
+
+const DEFAULT_POLICY_ID = process.env.SCORING_POLICY || 'standard@4';
+
+function policyId(p) {
+  return `${p.name}@${p.version}`;
+}
+
+// Resolve "name@version" (or bare "name" → latest version); null if unknown
+function getPolicy(id) {
+  if (!id) return null;
+  const [name, version] = String(id).split('@');
+  const matches = POLICIES.filter(p => p.name === name && (version == null || String(p.version) === version));
+  if (!matches.length) return null;
+  return matches.reduce((a, b) => (b.version > a.version ? b : a));
+}
+
+function listPolicies() {
+  return POLICIES.map(p => ({ id: policyId(p), ...p, default: policyId(p) === DEFAULT_POLICY_ID }));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Score a session's events under a policy. Returns the score plus a per-type
+// breakdown so a reviewer can see where every point went.
+function scoreEvents(policy, events, durationMs) {
+  const types = new Set([
+    ...Object.keys(policy.weights || {}),
+    ...Object.keys(policy.perSecond || {})
+  ]);
+
+  let factor = 1;
+  if (policy.normalization && policy.normalization.referenceMs && durationMs > policy.normalization.referenceMs) {
+    factor = policy.normalization.referenceMs / durationMs;
+  }
+
+  const incidents = collectEpisodes(events);
+  const breakdown = {};
+  let total = 0;
+  for (const type of types) {
+    const matching = incidents.filter(inc => inc.type === type);
+    const seconds = matching.reduce((sum, inc) => sum + inc.durationMs / 1000, 0);
+    const raw = matching.length * ((policy.weights || {})[type] || 0) +
+      seconds * ((policy.perSecond || {})[type] || 0);
+    const normalized = raw * factor;
+    const cap = (policy.caps || {})[type];
+    const deduction = cap != null ? Math.min(cap, normalized) : normalized;
+    breakdown[type] = {
+      count: matching.length,
+      seconds: round2(seconds),
+      raw: round2(raw),
+      deduction: round2(deduction),
+      capped: cap != null && normalized > cap
+    };
+    total += deduction;
+  }
+
+  return {
+    policy: policyId(policy),
+    normalizationFactor: round2(factor),
+    totalDeduction: round2(total),
+    score: Math.max(0, Math.round(100 - total)),
+    breakdown
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY_ID,
+  getPolicy,
+  listPolicies,
+  policyId,
+  scoreEvents
+};
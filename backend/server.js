@@ -5,25 +5,64 @@ const multer  = require('multer');
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
-const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
 const cors = require('cors');
+const { buildReport, reportToCSV, writeReportPDF, buildExamSummary, examSummaryToCSV } = require('./report');
+const scoring = require('./scoring');
+const examProfiles = require('./exam-profiles');
+const { normalizeCalibration } = require('./calibration');
+const { sessionTelemetry } = require('./telemetry');
+const { SEQ_WINDOW, createSeqIndex, deliverySummary } = require('./delivery');
+const { createEventChain } = require('./event-chain');
+const { loadConsent } = require('./consent');
+const retentionLib = require('./retention');
+const examsLib = require('./exams');
+const webhooksLib = require('./webhooks');
+const FaceSignature = require('../public/face-signature');
+const Attention = require('../public/attention');
+const videoChunks = require('./video-chunks');
+const { createLiveHub } = require('./live');
+const authLib = require('./auth');
+const { createStorage, storageConfig } = require('./storage');
+const { mountAssets } = require('./assets');
 
 const app = express();
+const live = createLiveHub();
 const PORT = process.env.PORT || 4000;
 
 // ✅ Serve static files from repo-root /public
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const LOGS_FILE = path.join(__dirname, 'logs.json');
+const LEGACY_LOGS_FILE = path.join(__dirname, 'logs.json'); // pre-storage-layer event file (see tools/migrate-logs.js)
+const PROFILES_FILE = path.join(__dirname, 'exam-profiles.json');
+const USERS_FILE = path.join(__dirname, 'users.json');
 
-app.use(cors());
+// Cross-origin access only for explicitly listed origins (CORS_ORIGINS=a,b)
+const corsOrigins = String(process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+if (corsOrigins.length) app.use(cors({ origin: corsOrigins, credentials: true }));
 app.use(express.json({ limit: '1mb' }));
 
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET not set; using a random secret (all tokens are invalidated on restart)');
+}
+const authSecret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const auth = authLib.createAuth(authSecret);
+app.use('/api', auth.authenticate);
+const STAFF = authLib.STAFF_ROLES;
+
 // ensure directories exist
 for (const d of [PUBLIC_DIR, UPLOADS_DIR]) {
   if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
 }
 
+if (!scoring.getPolicy(scoring.DEFAULT_POLICY_ID)) {
+  console.error(`Unknown SCORING_POLICY "${scoring.DEFAULT_POLICY_ID}"; falling back to latest "standard"`);
+}
+const defaultPolicy = scoring.getPolicy(scoring.DEFAULT_POLICY_ID) || scoring.getPolicy('standard');
+
+// Event types only the server may produce (reports are rebuilt from stored events)
+const RESERVED_EVENT_TYPES = new Set(['session_report']);
+
 // Multer config
 const upload = multer({
   dest: UPLOADS_DIR,
@@ -35,85 +74,702 @@ const upload = multer({
   }
 });
 
-// In-memory logs + persistence
-let logs = [];
-let mongoClient = null;
-let db = null;
+// Events and sessions live in the configured storage adapter (STORAGE=jsonl|sqlite|mongo).
+// Sessions are few and mutated in place by several routes, so they are also
+// kept in memory, loaded from storage at startup and written through on every change.
+const storage = createStorage(storageConfig());
+const seqIndex = createSeqIndex(storage); // (sessionId, seq) of stored events, for /api/log dedup
+// hash chain over each session's events; seals are signed with AUTH_SECRET
+const eventChain = createEventChain({ storage, secret: authSecret });
+let sessions = [];
+let exams = []; // title, window, max duration and roster; loaded like sessions
+let webhooks = []; // registered webhook URLs with their signing secrets; loaded like sessions
+// signed, retried webhook calls, each recorded as a delivery (webhooks.js)
+const dispatcher = webhooksLib.createWebhookDispatcher({ storage, hooks: () => webhooks, ...webhooksLib.webhookConfig() });
+let customProfiles = []; // exam profiles added through the API (built-ins live in exam-profiles.js)
+let users = []; // proctor/admin accounts: { username, role, passwordHash, createdAt }
+const consent = loadConsent(); // text shown to candidates before the camera starts
+const retention = retentionLib.retentionConfig();
 
-// load logs if present
+// load custom exam profiles if present
 (async () => {
   try {
-    if (fs.existsSync(LOGS_FILE)) {
-      const raw = await fsp.readFile(LOGS_FILE, 'utf8');
-      logs = JSON.parse(raw || '[]');
+    if (fs.existsSync(PROFILES_FILE)) {
+      const raw = await fsp.readFile(PROFILES_FILE, 'utf8');
+      // fill in settings added since the profile was saved
+      customProfiles = JSON.parse(raw || '[]').map(p => ({ ...p, settings: examProfiles.normalizeSettings(p.settings).settings }));
     }
   } catch (err) {
-    console.error('Failed to read logs file:', err.message);
-    logs = [];
+    console.error('Failed to read exam profiles file:', err.message);
+    customProfiles = [];
   }
 })();
 
-// Mongo init
-async function initMongo() {
-  const uri = process.env.MONGODB_URI;
-  if (!uri) return;
+// load users if present; bootstrap an admin from ADMIN_USERNAME/ADMIN_PASSWORD
+(async () => {
+  try {
+    if (fs.existsSync(USERS_FILE)) {
+      const raw = await fsp.readFile(USERS_FILE, 'utf8');
+      users = JSON.parse(raw || '[]');
+    }
+  } catch (err) {
+    console.error('Failed to read users file:', err.message);
+    users = [];
+  }
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD && !users.some(u => u.username === ADMIN_USERNAME)) {
+    users.push({ username: ADMIN_USERNAME, role: 'admin', passwordHash: authLib.hashPassword(ADMIN_PASSWORD), createdAt: new Date().toISOString() });
+    persistUsers();
+    console.log(`Created admin user "${ADMIN_USERNAME}"`);
+  }
+  if (!users.length) console.warn('No users configured; set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin');
+})();
+
+// Helper: save one session through the storage adapter
+async function saveSession(s) {
+  try {
+    await storage.saveSession(s);
+  } catch (e) {
+    console.error('Error saving session:', e.message);
+  }
+}
+
+// Helper: save one exam through the storage adapter
+async function saveExam(exam) {
+  try {
+    await storage.saveExam(exam);
+  } catch (e) {
+    console.error('Error saving exam:', e.message);
+  }
+}
+
+// Helper: save custom exam profiles
+async function persistProfiles() {
   try {
-    mongoClient = new MongoClient(uri, { useUnifiedTopology: true });
-    await mongoClient.connect();
-    db = mongoClient.db(process.env.MONGODB_DBNAME || 'proctoring');
-    console.log('MongoDB connected');
+    await fsp.writeFile(PROFILES_FILE, JSON.stringify(customProfiles, null, 2), 'utf8');
   } catch (e) {
-    console.error('MongoDB connection failed:', e.message);
-    mongoClient = null;
-    db = null;
+    console.error('Error writing exam profiles file:', e.message);
   }
 }
-initMongo().catch(() => {});
 
-// Helper: save logs
-async function persistLogs() {
+// Helper: save users
+async function persistUsers() {
   try {
-    await fsp.writeFile(LOGS_FILE, JSON.stringify(logs, null, 2), 'utf8');
+    await fsp.writeFile(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
   } catch (e) {
-    console.error('Error writing logs file:', e.message);
+    console.error('Error writing users file:', e.message);
   }
 }
 
-// ✅ Simple CSV generator (no dependency)
-function generateCSV(records, columns) {
-  const header = columns.join(',') + '\n';
-  const rows = records.map(rec => {
-    return columns.map(col => {
-      let v = rec[col] == null ? '' : String(rec[col]);
-      v = v.replace(/"/g, '""'); // escape quotes
-      if (/[,"\n]/.test(v)) v = `"${v}"`; // quote if needed
-      return v;
-    }).join(',');
-  }).join('\n');
-  return header + rows;
+function publicUser(u) {
+  return { username: u.username, role: u.role, createdAt: u.createdAt };
+}
+
+function allProfiles() {
+  return [...examProfiles.BUILTIN_PROFILES, ...customProfiles];
+}
+
+function findProfile(id) {
+  return allProfiles().find(p => p.id === id) || null;
+}
+
+function findSession(id) {
+  return sessions.find(s => s.id === id) || null;
 }
 
+function findExam(id) {
+  return exams.find(e => e.id === id) || null;
+}
+
+// { id, title } of the session's exam, for reports; null outside an exam
+function examRef(s) {
+  const exam = s.examId ? findExam(s.examId) : null;
+  return exam ? { id: exam.id, title: exam.title } : null;
+}
+
+// New invited session with a single-use invite. `fields` adds exam and
+// candidate details. The invite token is returned here only; the session
+// keeps its hash.
+function createSession({ candidateName, profile, createdBy, ...fields }) {
+  const invite = authLib.newInviteToken();
+  const s = {
+    id: crypto.randomUUID(),
+    candidateName: String(candidateName || '').trim() || 'Unknown',
+    ...fields,
+    status: 'invited',
+    createdAt: new Date().toISOString(),
+    createdBy,
+    startedAt: null,
+    endedAt: null,
+    durationMs: 0,
+    scoringPolicy: scoring.policyId(defaultPolicy),
+    profile: examProfiles.profileStamp(profile),
+    invite: { tokenHash: invite.hash, usedAt: null },
+    video: null,
+    chained: true // every event is hash-chained (see event-chain.js); older sessions have unchained events
+  };
+  sessions.push(s);
+  saveSession(s);
+  live.publishSession(publicSession(s));
+  return { session: s, inviteToken: invite.token };
+}
+
+// Middleware: resolve :id to a session or 404
+function loadSession(req, res, next) {
+  const s = findSession(req.params.id);
+  if (!s) return res.status(404).json({ error: 'session not found' });
+  req.proctorSession = s;
+  next();
+}
+
+function sessionEvents(id) {
+  return storage.listEvents({ sessionId: id });
+}
+
+// Report of record under the session's own policy (exam summaries, webhooks)
+async function sessionReport(s) {
+  const policy = scoring.getPolicy(s.scoringPolicy || 'legacy@1') || defaultPolicy;
+  return buildReport({ ...publicSession(s), exam: examRef(s) }, await sessionEvents(s.id), policy);
+}
+
+// Session as returned by the API: no invite hash, video behind the access-checked
+// route, no enrollment face signature (only the candidate page needs it, see /start)
+function publicSession(s) {
+  const { invite, identity, ...rest } = s;
+  let publicIdentity = null;
+  if (identity) {
+    const { signature, ...visible } = identity;
+    publicIdentity = visible;
+  }
+  return {
+    ...rest,
+    invite: invite ? { usedAt: invite.usedAt || null } : null,
+    identity: publicIdentity,
+    video: publicVideo(s)
+  };
+}
+
+// The recording with a path per segment (one per recorder run; a single
+// upload is one segment without a start time)
+function publicVideo(s) {
+  if (!s.video) return null;
+  const base = `/api/sessions/${s.id}/video`;
+  const segments = s.video.segments || [{ filename: s.video.filename, startedAt: null, size: s.video.size }];
+  return {
+    ...s.video,
+    path: base,
+    segments: segments.map((seg, i) => ({ ...seg, path: i ? `${base}?segment=${i}` : base }))
+  };
+}
+
+// ====== Auth ======
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const u = users.find(x => x.username === String(username || ''));
+  if (!u || !authLib.verifyPassword(password, u.passwordHash)) return res.status(401).json({ error: 'invalid credentials' });
+  const { token, expiresAt } = auth.signToken({ sub: u.username, role: u.role });
+  auth.setAuthCookie(res, token, expiresAt);
+  return res.json({ token, expiresAt, user: publicUser(u) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.clearAuthCookie(res);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', auth.requireRole(...authLib.ROLES), (req, res) => {
+  const { sub, role, sid, exp } = req.auth;
+  res.json({ sub, role, sessionId: sid || null, expiresAt: new Date(exp).toISOString() });
+});
+
+// Candidate: exchange a single-use invite for a token bound to its session
+app.post('/api/invites/redeem', (req, res) => {
+  const token = String((req.body && req.body.invite) || '');
+  if (!token) return res.status(400).json({ error: 'invite required' });
+  const hash = authLib.sha256(token);
+  const s = sessions.find(x => x.invite && x.invite.tokenHash === hash);
+  if (!s) return res.status(404).json({ error: 'invalid invite' });
+  if (s.invite.usedAt || s.status === 'closed') return res.status(410).json({ error: 'invite already used' });
+  s.invite.usedAt = new Date().toISOString();
+  saveSession(s);
+  const issued = auth.signToken({ sub: `candidate:${s.id}`, role: 'candidate', sid: s.id });
+  const exam = s.examId ? findExam(s.examId) : null;
+  return res.json({ token: issued.token, expiresAt: issued.expiresAt, session: publicSession(s), exam: exam ? examsLib.candidateView(exam) : null });
+});
+
+// Users (admin only)
+app.get('/api/users', auth.requireRole('admin'), (req, res) => res.json(users.map(publicUser)));
+
+app.post('/api/users', auth.requireRole('admin'), (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (!/^[A-Za-z0-9_.@-]{3,64}$/.test(String(username || ''))) return res.status(400).json({ error: 'invalid username' });
+  if (!STAFF.includes(role)) return res.status(400).json({ error: `role must be one of ${STAFF.join(', ')}` });
+  if (String(password || '').length < 8) return res.status(400).json({ error: 'password must be at least 8 characters' });
+  if (users.some(u => u.username === username)) return res.status(409).json({ error: 'user exists' });
+  const u = { username, role, passwordHash: authLib.hashPassword(password), createdAt: new Date().toISOString() };
+  users.push(u);
+  persistUsers();
+  return res.status(201).json(publicUser(u));
+});
+
+app.delete('/api/users/:username', auth.requireRole('admin'), (req, res) => {
+  if (req.params.username === req.auth.sub) return res.status(400).json({ error: 'cannot delete yourself' });
+  const before = users.length;
+  users = users.filter(u => u.username !== req.params.username);
+  if (users.length === before) return res.status(404).json({ error: 'user not found' });
+  persistUsers();
+  return res.json({ ok: true });
+});
+
 // ====== APIs ======
 
-// Save event log
-app.post('/api/log', async (req, res) => {
+// Exam profiles
+app.get('/api/exam-profiles', (req, res) => {
+  res.json(allProfiles().map(p => ({ ...p, default: p.id === examProfiles.DEFAULT_PROFILE_ID })));
+});
+
+app.get('/api/exam-profiles/:id', (req, res) => {
+  const p = findProfile(req.params.id);
+  if (!p) return res.status(404).json({ error: 'exam profile not found' });
+  res.json(p);
+});
+
+// Create or update a custom profile; every update bumps its version
+app.put('/api/exam-profiles/:id', auth.requireRole('admin'), async (req, res) => {
+  const id = String(req.params.id);
+  if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) return res.status(400).json({ error: 'invalid profile id' });
+  if (examProfiles.BUILTIN_PROFILES.some(p => p.id === id)) return res.status(409).json({ error: 'built-in profiles cannot be modified' });
+  const body = req.body || {};
+  const { settings, errors } = examProfiles.normalizeSettings(body.settings);
+  if (errors.length) return res.status(400).json({ error: 'invalid settings', details: errors });
+
+  const existing = customProfiles.find(p => p.id === id);
+  const profile = {
+    id,
+    title: String(body.title || (existing && existing.title) || id),
+    version: existing ? existing.version + 1 : 1,
+    builtin: false,
+    settings,
+    updatedAt: new Date().toISOString()
+  };
+  customProfiles = customProfiles.filter(p => p.id !== id).concat(profile);
+  persistProfiles();
+  return res.status(existing ? 200 : 201).json(profile);
+});
+
+// Create session + single-use candidate invite (staff). The invite token is
+// returned once; only its hash is stored.
+app.post('/api/sessions', auth.requireRole(...STAFF), async (req, res) => {
+  const body = req.body || {};
+  const profile = findProfile(body.profile || examProfiles.DEFAULT_PROFILE_ID);
+  if (!profile) return res.status(400).json({ error: 'unknown exam profile' });
+  const { session: s, inviteToken } = createSession({ candidateName: body.candidateName, profile, createdBy: req.auth.sub });
+  return res.status(201).json({ ...publicSession(s), inviteToken, inviteUrl: `/?invite=${inviteToken}` });
+});
+
+// Consent text the candidate page shows before it asks for the camera, with
+// the retention periods (days, null = kept) it refers to
+app.get('/api/consent', (req, res) => res.json({ ...consent, retentionDays: retentionLib.retentionDays(retention) }));
+
+// Candidate accepts the consent text: { version, textHash } of the text shown.
+// Accepting again keeps the first acceptance.
+app.post('/api/sessions/:id/consent', loadSession, auth.requireSessionAccess('candidate'), (req, res) => {
+  const s = req.proctorSession;
+  if (s.status === 'closed') return res.status(409).json({ error: 'session closed' });
+  const body = req.body || {};
+  if (String(body.version) !== consent.version || body.textHash !== consent.textHash) {
+    return res.status(409).json({ error: 'consent text has changed; reload the page', version: consent.version });
+  }
+  if (!s.consent) {
+    s.consent = { version: consent.version, textHash: consent.textHash, acceptedAt: new Date().toISOString() };
+    saveSession(s);
+    live.publishSession(publicSession(s));
+  }
+  return res.status(201).json(s.consent);
+});
+
+// Start session (candidate). Requires consent, and for an exam session an
+// open window. Calling it again on an active session resumes it until its deadline.
+app.post('/api/sessions/:id/start', loadSession, auth.requireSessionAccess('candidate'), async (req, res) => {
+  const s = req.proctorSession;
+  if (s.status === 'closed') return res.status(409).json({ error: 'session closed' });
+  if (!s.consent) return res.status(409).json({ error: 'consent required' });
+  const exam = s.examId ? findExam(s.examId) : null;
+  if (s.status === 'invited') {
+    const state = exam ? examsLib.examWindow(exam) : 'open';
+    if (state === 'upcoming') return res.status(409).json({ error: 'exam has not opened yet', exam: examsLib.candidateView(exam) });
+    if (state === 'closed') return res.status(409).json({ error: 'exam window has closed', exam: examsLib.candidateView(exam) });
+    s.status = 'active';
+    s.startedAt = new Date().toISOString();
+    if (exam) s.deadline = examsLib.sessionDeadline(exam, s.startedAt);
+    saveSession(s);
+    live.publishSession(publicSession(s));
+  } else if (s.deadline && Date.now() >= new Date(s.deadline).getTime()) {
+    await closeSession(s, 'time_limit');
+    return res.status(409).json({ error: 'time limit reached' });
+  }
+  // a resumed session is re-verified against its original enrollment
+  const enrollmentSignature = s.identity && s.identity.signature ? s.identity.signature : null;
+  // a page that lost its outbox continues numbering events after the server's highest
+  const eventSeq = await seqIndex.highest(s.id);
+  return res.json({
+    ...publicSession(s),
+    enrollmentSignature,
+    eventSeq,
+    exam: exam ? examsLib.candidateView(exam) : null
+  });
+});
+
+// Sign the head of the session's event chain (s.chainSeal). A session whose
+// seal failed stays unsealed; verification then reports it as not sealed.
+async function sealChain(s) {
   try {
-    const entry = req.body;
-    if (!entry || typeof entry !== 'object') return res.status(400).json({ error: 'invalid payload' });
-    entry.receivedAt = new Date().toISOString();
-    logs.push(entry);
+    s.chainSeal = await eventChain.seal(s.id);
+  } catch (err) {
+    console.error('Sealing event chain failed:', err.message);
+  }
+}
 
-    persistLogs();
+// Close session. The candidate page sends the last event seq it handed out
+// ({ lastSeq }), so events that never arrive after it count as lost. A session
+// the server already closed (time limit, proctor) takes it only within the
+// late-event window.
+app.post('/api/sessions/:id/close', loadSession, auth.requireSessionAccess('candidate', ...STAFF), async (req, res) => {
+  const s = req.proctorSession;
+  const lastSeq = req.body && req.body.lastSeq;
+  const accepting = s.status !== 'closed' || withinLateWindow(s);
+  if (req.auth.role === 'candidate' && accepting && Number.isInteger(lastSeq) && lastSeq > 0) {
+    if (!(await seqIndex.inRange(s.id, lastSeq))) return res.status(400).json({ error: `lastSeq is more than ${SEQ_WINDOW} past the highest seq received` });
+    s.lastEventSeq = Math.max(s.lastEventSeq || 0, lastSeq);
+    if (s.status === 'closed') saveSession(s);
+  }
+  if (s.status !== 'closed') await closeSession(s);
+  return res.json(publicSession(s));
+});
 
-    if (db) {
-      try {
-        await db.collection('events').insertOne(entry);
-      } catch (err) {
-        console.error('Mongo insert failed:', err.message);
-      }
+// Close a session: sets endedAt and durationMs and seals its event chain.
+// `endReason` is recorded when the server, not the page, ended it.
+async function closeSession(s, endReason) {
+  s.status = 'closed';
+  s.endedAt = new Date().toISOString();
+  s.durationMs = s.startedAt ? new Date(s.endedAt) - new Date(s.startedAt) : 0;
+  if (endReason) s.endReason = endReason;
+  await sealChain(s);
+  saveSession(s);
+  live.publishSession(publicSession(s));
+  notifySessionCompleted(s);
+}
+
+// ====== Webhook notifications ======
+// Failures are logged, never passed on: a webhook must not fail the request
+// that triggered it.
+
+async function notifySessionCompleted(s) {
+  if (!dispatcher.subscribed('session.completed')) return;
+  try {
+    await dispatcher.emit('session.completed', { sessionId: s.id, report: await sessionReport(s) });
+  } catch (err) {
+    console.error('session.completed webhook failed:', err.message);
+  }
+}
+
+// Flagged events once per incident: the open event of an episode, or a one-off event
+async function notifyFlagged(s, entry) {
+  const phase = entry.detail && entry.detail.phase;
+  if (phase && phase !== 'open') return;
+  if (!dispatcher.subscribed('event.flagged')) return;
+  try {
+    const { prevHash, hash, chainIndex, ...event } = entry;
+    await dispatcher.emit('event.flagged', {
+      sessionId: s.id,
+      candidateName: s.candidateName,
+      exam: examRef(s),
+      event
+    });
+  } catch (err) {
+    console.error('event.flagged webhook failed:', err.message);
+  }
+}
+
+async function notifyUpload(s) {
+  if (!dispatcher.subscribed('upload.completed')) return;
+  try {
+    const { video } = publicSession(s);
+    await dispatcher.emit('upload.completed', { sessionId: s.id, candidateName: s.candidateName, exam: examRef(s), video });
+  } catch (err) {
+    console.error('upload.completed webhook failed:', err.message);
+  }
+}
+
+// Exam sessions still active this long after their deadline are closed by the
+// server (the page stops itself at the deadline; this catches closed tabs)
+const DEADLINE_GRACE_MS = 2 * 60 * 1000;
+const DEADLINE_CHECK_MS = 30 * 1000;
+
+async function closeOverdueSessions() {
+  const now = Date.now();
+  for (const s of sessions) {
+    if (s.status !== 'active' || !s.deadline || now < new Date(s.deadline).getTime() + DEADLINE_GRACE_MS) continue;
+    try {
+      // a page that is still open stops on the terminate command
+      live.sendCommand(s.id, { id: crypto.randomUUID(), type: 'terminate', message: 'The time limit for this exam has been reached.', sentAt: new Date().toISOString() });
+      await closeSession(s, 'time_limit');
+    } catch (err) {
+      console.error(`Closing overdue session ${s.id} failed:`, err.message);
     }
+  }
+}
+
+// Calibration result (baseline face position, size and head pose); a resumed
+// session calibrates again and replaces it
+app.post('/api/sessions/:id/calibration', loadSession, auth.requireSessionAccess('candidate'), (req, res) => {
+  const s = req.proctorSession;
+  if (s.status !== 'active') return res.status(409).json({ error: s.status === 'closed' ? 'session closed' : 'session not started' });
+  const { calibration, errors } = normalizeCalibration(req.body);
+  if (errors.length) return res.status(400).json({ error: 'invalid calibration', details: errors });
+  s.calibration = calibration;
+  saveSession(s);
+  live.publishSession(publicSession(s));
+  return res.json(calibration);
+});
+
+// List sessions (?examId= for one exam's)
+app.get('/api/sessions', auth.requireRole(...STAFF), async (req, res) => {
+  try {
+    const counts = await storage.countEvents();
+    const examId = req.query.examId ? String(req.query.examId) : null;
+    const list = sessions
+      .filter(s => !examId || s.examId === examId)
+      .map(s => ({ ...publicSession(s), eventCount: counts[s.id] || 0, connected: live.isConnected(s.id) }));
+    res.json(list.reverse());
+  } catch (err) {
+    console.error('GET /api/sessions error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Fetch one session with its events and video
+app.get('/api/sessions/:id', loadSession, auth.requireSessionAccess(...STAFF), async (req, res) => {
+  try {
+    const s = req.proctorSession;
+    const events = await sessionEvents(s.id);
+    res.json({
+      ...publicSession(s),
+      telemetry: sessionTelemetry(s, events),
+      attention: Attention.summarizeEvents(events, s.startedAt),
+      delivery: deliverySummary(events, s.lastEventSeq),
+      events
+    });
+  } catch (err) {
+    console.error('GET /api/sessions/:id error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Re-verify the session's hash chain and its seal; lists every break
+app.get('/api/sessions/:id/verify', loadSession, auth.requireSessionAccess(...STAFF), async (req, res) => {
+  try {
+    const s = req.proctorSession;
+    if (s.purged && s.purged.events) return res.status(410).json({ error: 'events purged under the retention policy', purgedAt: s.purged.events });
+    res.json(eventChain.verify(s, await sessionEvents(s.id)));
+  } catch (err) {
+    console.error('GET /api/sessions/:id/verify error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ====== Exams ======
+
+// Exam with its roster's sessions summarized (status, start, invite use)
+function publicExam(exam) {
+  const roster = exam.roster.map(c => {
+    const s = findSession(c.sessionId);
+    return { ...c, status: s ? s.status : 'erased', startedAt: s ? s.startedAt : null, inviteUsed: !!(s && s.invite && s.invite.usedAt) };
+  });
+  return { ...exam, window: examsLib.examWindow(exam), roster };
+}
+
+// Create a session and invite for each candidate; returns the invites (shown once)
+function enrollCandidates(exam, candidates, createdBy) {
+  const profile = findProfile(exam.profileId) || findProfile(examProfiles.DEFAULT_PROFILE_ID);
+  return candidates.map(c => {
+    const candidateId = crypto.randomUUID();
+    const { session: s, inviteToken } = createSession({
+      candidateName: c.name,
+      profile,
+      createdBy,
+      examId: exam.id,
+      candidateId,
+      candidateEmail: c.email
+    });
+    exam.roster.push({ candidateId, name: c.name, email: c.email, sessionId: s.id });
+    return { candidateId, name: c.name, email: c.email, sessionId: s.id, inviteToken, inviteUrl: `/?invite=${inviteToken}` };
+  });
+}
+
+// Create an exam: { title, startsAt, endsAt, maxDurationMinutes, profile, candidates }.
+// candidates: names or { name, email }. The invite links are in the response only.
+app.post('/api/exams', auth.requireRole(...STAFF), (req, res) => {
+  const body = req.body || {};
+  const { exam: fields, errors } = examsLib.normalizeExam(body);
+  const roster = examsLib.normalizeRoster(body.candidates);
+  const allErrors = errors.concat(roster.errors);
+  if (allErrors.length) return res.status(400).json({ error: 'invalid exam', details: allErrors });
+  const profile = findProfile(body.profile || examProfiles.DEFAULT_PROFILE_ID);
+  if (!profile) return res.status(400).json({ error: 'unknown exam profile' });
+  const exam = {
+    id: crypto.randomUUID(),
+    ...fields,
+    profileId: profile.id,
+    createdAt: new Date().toISOString(),
+    createdBy: req.auth.sub,
+    roster: []
+  };
+  exams.push(exam);
+  const invites = enrollCandidates(exam, roster.candidates, req.auth.sub);
+  saveExam(exam);
+  return res.status(201).json({ ...publicExam(exam), invites });
+});
+
+app.get('/api/exams', auth.requireRole(...STAFF), (req, res) => {
+  res.json(exams.map(publicExam).reverse());
+});
+
+app.get('/api/exams/:id', auth.requireRole(...STAFF), (req, res) => {
+  const exam = findExam(req.params.id);
+  if (!exam) return res.status(404).json({ error: 'exam not found' });
+  res.json(publicExam(exam));
+});
+
+// Add candidates to the roster (until the window closes): { candidates } -> { invites }
+app.post('/api/exams/:id/candidates', auth.requireRole(...STAFF), (req, res) => {
+  const exam = findExam(req.params.id);
+  if (!exam) return res.status(404).json({ error: 'exam not found' });
+  if (examsLib.examWindow(exam) === 'closed') return res.status(409).json({ error: 'exam window has closed' });
+  const roster = examsLib.normalizeRoster((req.body || {}).candidates, exam.roster);
+  if (roster.errors.length) return res.status(400).json({ error: 'invalid candidates', details: roster.errors });
+  const invites = enrollCandidates(exam, roster.candidates, req.auth.sub);
+  saveExam(exam);
+  return res.status(201).json({ invites });
+});
+
+// Exam summary: every candidate's status and score, with score statistics.
+// JSON (default) or CSV; scored under each session's recorded policy.
+app.get('/api/exams/:id/report', auth.requireRole(...STAFF), async (req, res) => {
+  const exam = findExam(req.params.id);
+  if (!exam) return res.status(404).json({ error: 'exam not found' });
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (format !== 'json' && format !== 'csv') return res.status(400).json({ error: 'format must be json or csv' });
+  try {
+    const rows = [];
+    for (const c of exam.roster) {
+      const s = findSession(c.sessionId);
+      if (!s) continue;
+      rows.push({ session: s, report: s.startedAt ? await sessionReport(s) : null });
+    }
+    const summary = buildExamSummary(exam, rows);
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="exam_report_${exam.id}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(examSummaryToCSV(summary));
+    }
+    return res.json(summary);
+  } catch (err) {
+    console.error('Exam report failed:', err.message);
+    return res.status(500).json({ error: 'exam report failed' });
+  }
+});
+
+// ====== Live monitoring (SSE) ======
+
+// Proctor console: ?sessions=id1,id2 (omit for every session)
+app.get('/api/live', auth.requireRole(...STAFF), (req, res) => {
+  const ids = String(req.query.sessions || '').split(',').map(x => x.trim()).filter(Boolean);
+  live.subscribeProctor(req, res, ids);
+});
+
+// Candidate page: receives proctor commands for its own session
+app.get('/api/sessions/:id/channel', loadSession, auth.requireSessionAccess('candidate'), (req, res) => {
+  if (req.proctorSession.status === 'closed') return res.status(409).json({ error: 'session closed' });
+  live.subscribeCandidate(req, res, req.proctorSession.id);
+});
+
+// Proctor -> candidate: { type: 'warning', message } or { type: 'terminate', message }
+const COMMAND_TYPES = ['warning', 'terminate'];
+app.post('/api/sessions/:id/commands', loadSession, auth.requireSessionAccess(...STAFF), (req, res) => {
+  const s = req.proctorSession;
+  if (s.status === 'closed') return res.status(409).json({ error: 'session closed' });
+  const body = req.body || {};
+  if (!COMMAND_TYPES.includes(body.type)) return res.status(400).json({ error: `type must be one of ${COMMAND_TYPES.join(', ')}` });
+  const command = {
+    id: crypto.randomUUID(),
+    type: body.type,
+    message: String(body.message || (body.type === 'terminate' ? 'The proctor has ended this session.' : '')).slice(0, 500),
+    sentAt: new Date().toISOString()
+  };
+  if (body.type === 'warning' && !command.message) return res.status(400).json({ error: 'message required' });
+  const delivered = live.sendCommand(s.id, command);
+  return res.status(202).json({ ok: true, command, delivered, queued: delivered === 0 });
+});
+
+// Sequenced events still queued on the page when it closed the session are
+// accepted for this long after the close, measured on the server's clock (the
+// event's own timestamp comes from the candidate). Once the page has sent its
+// lastSeq, only seqs up to it are accepted.
+const LATE_EVENT_WINDOW_MS = 5 * 60 * 1000;
+
+function withinLateWindow(s) {
+  return Date.now() <= new Date(s.endedAt).getTime() + LATE_EVENT_WINDOW_MS;
+}
+
+function loggedBeforeClose(seq, s) {
+  return withinLateWindow(s) && (!s.lastEventSeq || seq <= s.lastEventSeq);
+}
 
-    return res.json({ ok: true });
+// Save event log (candidate, own session only). Each stored event is chained
+// to the session's previous one (event-chain.js). Events carrying a `seq` are
+// stored once per (sessionId, seq): a repeat is acknowledged with
+// duplicate: true and not stored again. A sequenced event may still arrive
+// after the session closed (it sat in the page's outbox while offline), as
+// long as it was logged before the close.
+app.post('/api/log', auth.requireRole('candidate'), async (req, res) => {
+  try {
+    const entry = req.body;
+    if (!entry || typeof entry !== 'object') return res.status(400).json({ error: 'invalid payload' });
+    if (entry.sessionId !== req.auth.sid) return res.status(403).json({ error: 'forbidden' });
+    const s = findSession(entry.sessionId);
+    if (!s) return res.status(400).json({ error: 'unknown sessionId' });
+    if (typeof entry.type !== 'string' || !entry.type.trim()) return res.status(400).json({ error: 'type must be a non-empty string' });
+    if (typeof entry.timestamp !== 'string' || !isFinite(Date.parse(entry.timestamp))) return res.status(400).json({ error: 'timestamp must be a date' });
+    const seq = entry.seq;
+    if (seq !== undefined && !(Number.isInteger(seq) && seq > 0)) return res.status(400).json({ error: 'seq must be a positive integer' });
+    if (s.status === 'closed' && !(seq && loggedBeforeClose(seq, s))) return res.status(409).json({ error: 'session closed' });
+    if (seq && !(await seqIndex.inRange(s.id, seq))) return res.status(400).json({ error: `seq is more than ${SEQ_WINDOW} past the highest seq received` });
+    if (s.status === 'invited') return res.status(409).json({ error: 'session not started' });
+    if (RESERVED_EVENT_TYPES.has(entry.type)) return res.status(400).json({ error: `event type ${entry.type} is server-generated` });
+    if (entry.snapshot != null) {
+      const snapId = entry.snapshot && entry.snapshot.id;
+      if (!snapshotFile(s.id, snapId)) return res.status(400).json({ error: 'unknown snapshot' });
+      entry.snapshot = { id: snapId, path: `/api/sessions/${s.id}/snapshots/${snapId}` };
+    }
+    if (seq && !(await seqIndex.claim(s.id, seq))) return res.json({ ok: true, duplicate: true });
+    entry.receivedAt = new Date().toISOString();
+    let stored;
+    try {
+      stored = await eventChain.append(entry);
+    } catch (err) {
+      if (seq) await seqIndex.release(s.id, seq);
+      throw err;
+    }
+    // a late event extends a sealed chain; sign the new head
+    if (s.status === 'closed') {
+      await sealChain(s);
+      saveSession(s);
+    }
+    live.publishEvent(stored);
+    notifyFlagged(s, stored);
+    return res.json({ ok: true, hash: stored.hash });
   } catch (err) {
     console.error('POST /api/log error:', err);
     return res.status(500).json({ error: 'server error' });
@@ -121,15 +777,27 @@ app.post('/api/log', async (req, res) => {
 });
 
 // Upload video
-app.post('/api/upload-video', upload.single('video'), async (req, res) => {
+app.post('/api/upload-video', auth.requireRole('candidate'), upload.single('video'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'no file uploaded' });
-  const safeName = `${Date.now()}-${path.basename(req.file.originalname).replace(/\s+/g, '_')}`;
+  const s = findSession(req.body && req.body.sessionId);
+  if (!s || s.id !== req.auth.sid) {
+    try { await fsp.unlink(req.file.path); } catch (_) {}
+    return res.status(400).json({ error: 'unknown sessionId' });
+  }
   const ext = path.extname(req.file.originalname) || '.webm';
+  const safeName = `${s.id}-${Date.now()}-${path.basename(req.file.originalname, ext).replace(/\s+/g, '_')}`;
   const dest = path.join(UPLOADS_DIR, safeName + ext);
 
   try {
     await fsp.rename(req.file.path, dest);
-    return res.json({ ok: true, path: `/uploads/${path.basename(dest)}`, filename: path.basename(dest) });
+    s.video = {
+      filename: path.basename(dest),
+      size: req.file.size,
+      uploadedAt: new Date().toISOString()
+    };
+    saveSession(s);
+    notifyUpload(s);
+    return res.json({ ok: true, sessionId: s.id, path: publicSession(s).video.path, filename: s.video.filename });
   } catch (err) {
     try { await fsp.unlink(req.file.path); } catch (_) {}
     console.error('File save failed:', err.message);
@@ -137,43 +805,534 @@ app.post('/api/upload-video', upload.single('video'), async (req, res) => {
   }
 });
 
-// Serve uploaded videos
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Streaming upload: one MediaRecorder slice per request, keyed by its index
+const finalizing = new Set(); // session ids with a finalize in progress
 
-// Return logs
-app.get('/api/logs', (req, res) => {
-  const n = Math.min(1000, parseInt(req.query.n || '100', 10));
-  res.json(logs.slice(-n));
+app.put('/api/sessions/:id/video/segments/:segment/chunks/:index',
+  loadSession,
+  auth.requireSessionAccess('candidate'),
+  express.raw({ type: () => true, limit: '20mb' }),
+  async (req, res) => {
+    const s = req.proctorSession;
+    const index = Number(req.params.index);
+    if (!videoChunks.isSegmentId(req.params.segment)) return res.status(400).json({ error: 'invalid segment id' });
+    const segment = Number(req.params.segment);
+    if (!Number.isInteger(index) || index < 0 || index >= videoChunks.MAX_CHUNKS) return res.status(400).json({ error: 'invalid chunk index' });
+    if (s.video || finalizing.has(s.id)) return res.status(409).json({ error: 'video already finalized' });
+    if (!req.body || !req.body.length) return res.status(400).json({ error: 'empty chunk' });
+    try {
+      const segments = await videoChunks.listSegments(videoChunks.chunkDir(UPLOADS_DIR, s.id));
+      if (!segments.includes(segment) && segments.length >= videoChunks.MAX_SEGMENTS) {
+        return res.status(409).json({ error: `a recording has at most ${videoChunks.MAX_SEGMENTS} segments` });
+      }
+      await videoChunks.saveChunk(videoChunks.segmentDir(UPLOADS_DIR, s.id, segment), index, req.body, req.get('X-Chunk-Sha256'));
+      return res.json({ ok: true, segment, index, size: req.body.length });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error('Chunk save failed:', err.message);
+      return res.status(500).json({ error: 'chunk save failed' });
+    }
+  });
+
+// Which chunks the server already has, per segment (used by the client to resume)
+app.get('/api/sessions/:id/video/chunks', loadSession, auth.requireSessionAccess('candidate', ...STAFF), async (req, res) => {
+  const s = req.proctorSession;
+  try {
+    const dir = videoChunks.chunkDir(UPLOADS_DIR, s.id);
+    const segments = [];
+    for (const segment of await videoChunks.listSegments(dir)) {
+      const received = await videoChunks.listChunks(videoChunks.segmentDir(UPLOADS_DIR, s.id, segment));
+      segments.push({ segment, received, nextIndex: received.length ? received[received.length - 1] + 1 : 0 });
+    }
+    return res.json({ finalized: !!s.video, segments });
+  } catch (err) {
+    console.error('Chunk listing failed:', err.message);
+    return res.status(500).json({ error: 'chunk listing failed' });
+  }
 });
 
-// Generate CSV report
-app.get('/api/report', (req, res) => {
+// Assemble each segment's chunks into a file of its own. `totalChunks` is what
+// the client's current recorder run (`segment`) produced; for earlier runs, and
+// without it (e.g. recovering after a crashed tab), every chunk up to the
+// highest index received is expected.
+app.post('/api/sessions/:id/video/finalize', loadSession, auth.requireSessionAccess('candidate', ...STAFF), async (req, res) => {
+  const s = req.proctorSession;
+  if (s.video) return res.status(409).json({ error: 'video already finalized', video: publicSession(s).video });
+  if (finalizing.has(s.id)) return res.status(409).json({ error: 'finalize in progress' });
+  const dir = videoChunks.chunkDir(UPLOADS_DIR, s.id);
+  const body = req.body || {};
+  if (body.segment != null && !videoChunks.isSegmentId(body.segment)) return res.status(400).json({ error: 'invalid segment id' });
+  const current = body.segment != null ? Number(body.segment) : null;
+  const expected = body.totalChunks != null ? Number(body.totalChunks) : null;
+  if (expected !== null && (!Number.isInteger(expected) || expected <= 0 || expected > videoChunks.MAX_CHUNKS)) {
+    return res.status(400).json({ error: `totalChunks must be between 1 and ${videoChunks.MAX_CHUNKS}` });
+  }
+
+  finalizing.add(s.id);
   try {
-    const records = logs.map(l => ({
-      Timestamp: l.timestamp || l.receivedAt || '',
-      Event: l.type || '',
-      Detail: JSON.stringify(l.detail || l)
-    }));
+    const plan = [];
+    const segments = await videoChunks.listSegments(dir);
+    if (current !== null && expected !== null && !segments.includes(current)) segments.push(current);
+    for (const segment of segments.sort((a, b) => a - b)) {
+      const received = await videoChunks.listChunks(videoChunks.segmentDir(UPLOADS_DIR, s.id, segment));
+      const total = segment === current && expected !== null
+        ? expected
+        : (received.length ? received[received.length - 1] + 1 : 0);
+      if (total) plan.push({ segment, total, missing: videoChunks.missingChunks(received, total) });
+    }
+    if (!plan.length) return res.status(400).json({ error: 'no chunks to finalize' });
 
-    const columns = ['Timestamp', 'Event', 'Detail'];
-    const csv = generateCSV(records, columns);
+    const gaps = plan.filter(p => p.missing.count).map(p => ({ segment: p.segment, ranges: p.missing.ranges, count: p.missing.count }));
+    if (gaps.length) {
+      return res.status(409).json({ error: 'missing chunks', missing: gaps, missingCount: gaps.reduce((n, g) => n + g.count, 0) });
+    }
 
-    res.setHeader('Content-Disposition', `attachment; filename="proctoring_report_${Date.now()}.csv"`);
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    return res.send(csv);
+    const ext = body.mimeType && /mp4/.test(body.mimeType) ? '.mp4' : '.webm';
+    const files = [];
+    for (const { segment, total } of plan) {
+      const filename = `${s.id}-${segment}${ext}`;
+      const size = await videoChunks.assemble(videoChunks.segmentDir(UPLOADS_DIR, s.id, segment), total, path.join(UPLOADS_DIR, filename));
+      files.push({ filename, startedAt: new Date(segment).toISOString(), size, chunks: total });
+    }
+    await fsp.rm(dir, { recursive: true, force: true });
+    s.video = {
+      filename: files[0].filename,
+      size: files.reduce((n, f) => n + f.size, 0),
+      chunks: files.reduce((n, f) => n + f.chunks, 0),
+      segments: files,
+      uploadedAt: new Date().toISOString()
+    };
+    saveSession(s);
+    notifyUpload(s);
+    const { video } = publicSession(s);
+    return res.json({ ok: true, sessionId: s.id, path: video.path, segments: video.segments, size: s.video.size, chunks: s.video.chunks });
   } catch (err) {
-    console.error('CSV generation failed:', err.message);
+    console.error('Video finalize failed:', err.message);
+    return res.status(500).json({ error: 'video finalize failed' });
+  } finally {
+    finalizing.delete(s.id);
+  }
+});
+
+// Evidence snapshots (one still frame per flagged event)
+const SNAPSHOT_TYPES = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+
+function snapshotDir(sessionId) {
+  return path.join(UPLOADS_DIR, 'snapshots', sessionId);
+}
+
+// Resolve a snapshot id to its file, or null if it does not exist
+function snapshotFile(sessionId, snapId) {
+  if (!/^[a-f0-9-]{36}\.(jpg|png|webp)$/.test(String(snapId))) return null;
+  const file = path.join(snapshotDir(sessionId), snapId);
+  return fs.existsSync(file) ? file : null;
+}
+
+async function saveSnapshot(sessionId, ext, body) {
+  const id = `${crypto.randomUUID()}${ext}`;
+  await fsp.mkdir(snapshotDir(sessionId), { recursive: true });
+  await fsp.writeFile(path.join(snapshotDir(sessionId), id), body);
+  return { id, path: `/api/sessions/${sessionId}/snapshots/${id}`, size: body.length };
+}
+
+app.post('/api/sessions/:id/snapshots',
+  loadSession,
+  auth.requireSessionAccess('candidate'),
+  express.raw({ type: Object.keys(SNAPSHOT_TYPES), limit: '5mb' }),
+  async (req, res) => {
+    const s = req.proctorSession;
+    if (s.status === 'closed') return res.status(409).json({ error: 'session closed' });
+    const ext = SNAPSHOT_TYPES[req.get('Content-Type')];
+    if (!ext || !Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'image body required' });
+    try {
+      return res.status(201).json(await saveSnapshot(s.id, ext, req.body));
+    } catch (err) {
+      console.error('Snapshot save failed:', err.message);
+      return res.status(500).json({ error: 'snapshot save failed' });
+    }
+  });
+
+app.get('/api/sessions/:id/snapshots/:snapId', loadSession, auth.requireSessionAccess(...STAFF), (req, res) => {
+  const file = snapshotFile(req.proctorSession.id, req.params.snapId);
+  if (!file) return res.status(404).json({ error: 'snapshot not found' });
+  res.sendFile(file);
+});
+
+// Identity continuity. Staff may attach a reference photo before the candidate
+// starts; the candidate page enrolls the face it sees at the start (images are
+// uploaded as snapshots first) and re-verifies it during the session.
+function identityOf(s) {
+  if (!s.identity) s.identity = { reference: null, enrollment: [], enrolledAt: null, referenceSimilarity: null, signature: null };
+  return s.identity;
+}
+
+app.put('/api/sessions/:id/identity/reference',
+  loadSession,
+  auth.requireSessionAccess(...STAFF),
+  express.raw({ type: Object.keys(SNAPSHOT_TYPES), limit: '5mb' }),
+  async (req, res) => {
+    const s = req.proctorSession;
+    if (s.status === 'closed') return res.status(409).json({ error: 'session closed' });
+    if (s.identity && s.identity.enrolledAt) return res.status(409).json({ error: 'candidate already enrolled' });
+    const ext = SNAPSHOT_TYPES[req.get('Content-Type')];
+    if (!ext || !Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: 'image body required' });
+    try {
+      const snap = await saveSnapshot(s.id, ext, req.body);
+      identityOf(s).reference = { id: snap.id, path: snap.path, uploadedAt: new Date().toISOString(), uploadedBy: req.auth.sub };
+      saveSession(s);
+      live.publishSession(publicSession(s));
+      return res.status(201).json(publicSession(s).identity);
+    } catch (err) {
+      console.error('Reference photo save failed:', err.message);
+      return res.status(500).json({ error: 'reference photo save failed' });
+    }
+  });
+
+// The candidate page compares its enrollment against the reference photo
+app.get('/api/sessions/:id/identity/reference', loadSession, auth.requireSessionAccess('candidate', ...STAFF), (req, res) => {
+  const ref = req.proctorSession.identity && req.proctorSession.identity.reference;
+  const file = ref ? snapshotFile(req.proctorSession.id, ref.id) : null;
+  if (!file) return res.status(404).json({ error: 'no reference photo' });
+  res.sendFile(file);
+});
+
+// Body: { snapshots: [id], signature, referenceSimilarity }
+app.post('/api/sessions/:id/identity/enrollment', loadSession, auth.requireSessionAccess('candidate'), (req, res) => {
+  const s = req.proctorSession;
+  if (s.status !== 'active') return res.status(409).json({ error: s.status === 'closed' ? 'session closed' : 'session not started' });
+  if (s.identity && s.identity.enrolledAt) return res.status(409).json({ error: 'already enrolled' });
+  const body = req.body || {};
+  const ids = Array.isArray(body.snapshots) ? body.snapshots : [];
+  if (!ids.length || ids.length > 5 || !ids.every(id => snapshotFile(s.id, id))) {
+    return res.status(400).json({ error: 'snapshots must list 1-5 uploaded snapshot ids' });
+  }
+  if (!FaceSignature.isSignature(body.signature)) return res.status(400).json({ error: 'invalid face signature' });
+  const refSim = body.referenceSimilarity == null ? null : Number(body.referenceSimilarity);
+  if (refSim !== null && !(refSim >= 0 && refSim <= 1)) return res.status(400).json({ error: 'referenceSimilarity must be between 0 and 1' });
+
+  const identity = identityOf(s);
+  identity.enrollment = ids.map(id => ({ id, path: `/api/sessions/${s.id}/snapshots/${id}` }));
+  identity.enrolledAt = new Date().toISOString();
+  identity.signature = body.signature;
+  identity.referenceSimilarity = identity.reference ? refSim : null;
+  saveSession(s);
+  live.publishSession(publicSession(s));
+  return res.status(201).json(publicSession(s).identity);
+});
+
+// Serve a session's recording, ?segment=n for the n-th recorder run (staff
+// only; sendFile handles Range requests for seeking)
+app.get('/api/sessions/:id/video', loadSession, auth.requireSessionAccess(...STAFF), (req, res) => {
+  const v = req.proctorSession.video;
+  if (!v || !v.filename) return res.status(404).json({ error: 'no video for this session' });
+  const n = req.query.segment != null ? Number(req.query.segment) : 0;
+  const segment = (v.segments || [v])[n];
+  if (!segment) return res.status(404).json({ error: 'no such video segment' });
+  res.sendFile(path.join(UPLOADS_DIR, path.basename(segment.filename)));
+});
+
+// Return logs (optionally for one session)
+app.get('/api/logs', auth.requireRole(...STAFF), async (req, res) => {
+  try {
+    const n = Math.max(1, Math.min(1000, parseInt(req.query.n || '100', 10) || 100));
+    res.json(await storage.listEvents({ sessionId: req.query.sessionId || undefined, limit: n }));
+  } catch (err) {
+    console.error('GET /api/logs error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Scoring policies
+app.get('/api/scoring-policies', (req, res) => res.json(scoring.listPolicies()));
+
+// Server-authoritative report: JSON (default), CSV or PDF.
+// Scored under the session's recorded policy unless ?policy=name@version asks for a recompute.
+app.get('/api/sessions/:id/report', loadSession, auth.requireSessionAccess(...STAFF), async (req, res) => {
+  try {
+    const s = req.proctorSession;
+    // sessions created before policies existed were scored with the legacy formula
+    const policy = scoring.getPolicy(req.query.policy || s.scoringPolicy || 'legacy@1');
+    if (!policy) return res.status(400).json({ error: 'unknown scoring policy' });
+    const report = buildReport({ ...publicSession(s), exam: examRef(s) }, await sessionEvents(s.id), policy);
+    const format = String(req.query.format || 'json').toLowerCase();
+    const base = `proctoring_report_${s.id}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="${base}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(reportToCSV(report));
+    }
+    if (format === 'pdf') {
+      res.setHeader('Content-Disposition', `attachment; filename="${base}.pdf"`);
+      res.setHeader('Content-Type', 'application/pdf');
+      return writeReportPDF(report, res, { snapshotFile: snapId => snapshotFile(s.id, snapId) });
+    }
+    if (format !== 'json') return res.status(400).json({ error: 'format must be json, csv or pdf' });
+    return res.json(report);
+  } catch (err) {
+    console.error('Report generation failed:', err.message);
     return res.status(500).json({ error: 'report generation failed' });
   }
 });
 
+// ====== Retention and erasure ======
+
+async function appendAudit(entry) {
+  const stored = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+  await storage.appendAudit(stored);
+  return stored;
+}
+
+// Delete files in `dir` and the directory itself; resolves how many files there were
+async function removeDir(dir) {
+  let names = [];
+  try {
+    names = await fsp.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return 0;
+    throw e;
+  }
+  await fsp.rm(dir, { recursive: true, force: true });
+  return names.length;
+}
+
+// Delete the given kinds ('video', 'snapshots', 'events') of one session's
+// data. The session record is updated in memory; the caller saves it.
+async function removeSessionData(s, kinds) {
+  const removed = { videos: 0, snapshots: 0, events: 0, deliveries: 0 };
+  if (kinds.includes('video')) {
+    if (s.video && s.video.filename) {
+      for (const file of s.video.segments || [s.video]) {
+        await fsp.rm(path.join(UPLOADS_DIR, path.basename(file.filename)), { force: true });
+      }
+      removed.videos++;
+    }
+    await removeDir(videoChunks.chunkDir(UPLOADS_DIR, s.id));
+    s.video = null;
+  }
+  if (kinds.includes('snapshots')) {
+    removed.snapshots = await removeDir(snapshotDir(s.id));
+    // the face signature is derived from the enrollment images
+    if (s.identity) s.identity = { ...s.identity, reference: null, enrollment: [], signature: null };
+  }
+  if (kinds.includes('events')) {
+    removed.events = await storage.deleteEvents(s.id);
+    seqIndex.forget(s.id);
+    eventChain.forget(s.id);
+    // webhook deliveries carry the session's events and report
+    dispatcher.forget(s.id);
+    removed.deliveries = await storage.deleteDeliveries(s.id);
+  }
+  return removed;
+}
+
+// Purge whatever has outlived its retention period
+let retentionRunning = false;
+async function runRetention() {
+  if (retentionRunning) return; // the previous run is still deleting
+  retentionRunning = true;
+  try {
+    await purgeDue();
+  } finally {
+    retentionRunning = false;
+  }
+}
+
+async function purgeDue() {
+  for (const s of sessions.slice()) {
+    const kinds = retentionLib.duePurges(s, retention);
+    if (!kinds.length || !sessions.includes(s)) continue; // erased while this run was going
+    try {
+      const removed = await removeSessionData(s, kinds);
+      const at = new Date().toISOString();
+      s.purged = { ...(s.purged || {}), ...Object.fromEntries(kinds.map(kind => [kind, at])) };
+      await saveSession(s);
+      await appendAudit({ action: 'retention_purge', by: 'retention', sessionIds: [s.id], kinds, removed });
+      console.log(`Retention: purged ${kinds.join(', ')} of session ${s.id}`);
+    } catch (err) {
+      console.error(`Retention purge of session ${s.id} failed:`, err.message);
+    }
+  }
+}
+
+// Right to erasure (admin): { sessionId } or { candidateName } (every session
+// of that candidate, name matched case-insensitively), optional `reason`.
+// Deletes the sessions with their recordings, snapshots and events. The audit
+// entry records who erased what and how much, but not the candidate's name.
+app.post('/api/erasure', auth.requireRole('admin'), async (req, res) => {
+  const body = req.body || {};
+  let targets;
+  if (typeof body.sessionId === 'string' && body.sessionId) {
+    targets = sessions.filter(s => s.id === body.sessionId);
+  } else if (typeof body.candidateName === 'string' && body.candidateName.trim()) {
+    const name = body.candidateName.trim().toLowerCase();
+    targets = sessions.filter(s => s.candidateName.toLowerCase() === name);
+  } else {
+    return res.status(400).json({ error: 'sessionId or candidateName required' });
+  }
+  if (!targets.length) return res.status(404).json({ error: 'no matching sessions' });
+
+  const removed = { sessions: 0, videos: 0, snapshots: 0, events: 0, deliveries: 0 };
+  try {
+    for (const s of targets) {
+      const r = await removeSessionData(s, retentionLib.PURGE_KINDS);
+      removed.videos += r.videos;
+      removed.snapshots += r.snapshots;
+      removed.events += r.events;
+      removed.deliveries += r.deliveries;
+      await storage.deleteSession(s.id);
+      sessions = sessions.filter(x => x !== s);
+      removed.sessions++;
+      // the exam roster lists the candidate's name and email too
+      const exam = s.examId ? findExam(s.examId) : null;
+      if (exam) {
+        exam.roster = exam.roster.filter(c => c.sessionId !== s.id);
+        await saveExam(exam);
+      }
+    }
+    const entry = await appendAudit({
+      action: 'erasure',
+      by: req.auth.sub,
+      reason: String(body.reason || '').slice(0, 500) || null,
+      match: body.sessionId ? 'session' : 'candidate',
+      sessionIds: targets.map(s => s.id),
+      removed
+    });
+    return res.json({ ok: true, audit: entry });
+  } catch (err) {
+    console.error('Erasure failed:', err.message);
+    return res.status(500).json({ error: 'erasure failed', removed });
+  }
+});
+
+// Audit log (admin): erasures and retention purges, newest last
+app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const n = Math.max(1, Math.min(1000, parseInt(req.query.n || '100', 10) || 100));
+    res.json(await storage.listAudit({ limit: n }));
+  } catch (err) {
+    console.error('GET /api/audit error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ====== Webhooks (admin) ======
+
+app.get('/api/webhooks', auth.requireRole('admin'), (req, res) => {
+  res.json(webhooks.map(webhooksLib.publicWebhook));
+});
+
+// Register a webhook: { url, events, flaggedTypes?, description? }. The
+// signing secret is in this response only.
+app.post('/api/webhooks', auth.requireRole('admin'), async (req, res) => {
+  const { hook: fields, errors } = webhooksLib.normalizeWebhook(req.body);
+  if (errors.length) return res.status(400).json({ error: 'invalid webhook', details: errors });
+  const hook = {
+    id: crypto.randomUUID(),
+    ...fields,
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+    createdBy: req.auth.sub
+  };
+  try {
+    await storage.saveWebhook(hook);
+    webhooks.push(hook);
+    return res.status(201).json({ ...webhooksLib.publicWebhook(hook), secret: hook.secret });
+  } catch (err) {
+    console.error('Saving webhook failed:', err.message);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Remove a webhook; its pending deliveries are cancelled
+app.delete('/api/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  const hook = webhooks.find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'webhook not found' });
+  try {
+    await storage.deleteWebhook(hook.id);
+    webhooks = webhooks.filter(h => h !== hook);
+    const cancelled = await dispatcher.cancelWebhook(hook.id);
+    return res.json({ ok: true, cancelled });
+  } catch (err) {
+    console.error('Deleting webhook failed:', err.message);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Send a `ping` to check the receiver and its signature check
+app.post('/api/webhooks/:id/test', auth.requireRole('admin'), async (req, res) => {
+  const hook = webhooks.find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'webhook not found' });
+  try {
+    const delivery = await dispatcher.ping(hook);
+    return res.status(202).json(deliveryListing(delivery));
+  } catch (err) {
+    console.error('Webhook ping failed:', err.message);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Delivery without its payload, for the log
+function deliveryListing(d) {
+  const { payload, ...rest } = d;
+  return rest;
+}
+
+// Delivery log, newest last: ?webhookId= for one webhook, ?n= (default 100)
+app.get('/api/webhook-deliveries', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const n = Math.max(1, Math.min(1000, parseInt(req.query.n || '100', 10) || 100));
+    const webhookId = req.query.webhookId ? String(req.query.webhookId) : undefined;
+    res.json((await storage.listDeliveries({ webhookId, limit: n })).map(deliveryListing));
+  } catch (err) {
+    console.error('GET /api/webhook-deliveries error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+async function findDelivery(id) {
+  return (await storage.listDeliveries()).find(d => d.id === id) || null;
+}
+
+// One delivery with the payload it sends
+app.get('/api/webhook-deliveries/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'delivery not found' });
+    res.json(delivery);
+  } catch (err) {
+    console.error('GET /api/webhook-deliveries/:id error:', err.message);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Send a delivery's payload again, as a new delivery (replayOf points back)
+app.post('/api/webhook-deliveries/:id/replay', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'delivery not found' });
+    const replayed = await dispatcher.replay(delivery);
+    if (!replayed) return res.status(409).json({ error: 'webhook no longer exists' });
+    return res.status(202).json(deliveryListing(replayed));
+  } catch (err) {
+    console.error('Webhook replay failed:', err.message);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => res.json({ ok: true }));
 
+// Self-hosted libraries and model weights (verified against their pins)
+mountAssets(app);
+
 // Serve frontend static and fallback
 app.use(express.static(PUBLIC_DIR));
+app.get('/review', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'review.html')));
+app.get('/proctor', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'proctor.html')));
+app.get('/login', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'login.html')));
 app.get('*', (req, res) => {
-  if (req.path.startsWith('/api/') || req.path.startsWith('/uploads/')) {
+  if (req.path.startsWith('/api/') || req.path.startsWith('/vendor/') || req.path.startsWith('/models/')) {
     return res.status(404).json({ error: 'Not found' });
   }
   const indexPath = path.join(PUBLIC_DIR, 'index.html');
@@ -185,12 +1344,34 @@ app.get('*', (req, res) => {
 async function shutdown() {
   console.log('Shutting down...');
   try {
-    if (mongoClient) await mongoClient.close();
-  } catch (e) { console.error('Error closing mongo:', e.message); }
+    await storage.close();
+  } catch (e) { console.error('Error closing storage:', e.message); }
   process.exit(0);
 }
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
-// Start server
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Start server once storage is ready
+(async () => {
+  try {
+    await storage.init();
+    sessions = await storage.listSessions();
+    exams = await storage.listExams();
+    webhooks = await storage.listWebhooks();
+    console.log(`Storage: ${storage.kind} (${sessions.length} sessions, ${exams.length} exams, ${webhooks.length} webhooks)`);
+    const resumed = await dispatcher.resume();
+    if (resumed) console.log(`Webhooks: ${resumed} pending deliveries resumed`);
+  } catch (err) {
+    console.error('Storage init failed:', err.message);
+    process.exit(1);
+  }
+  if (fs.existsSync(LEGACY_LOGS_FILE)) {
+    console.warn(`${LEGACY_LOGS_FILE} is no longer read; import it with \`npm run migrate-logs\``);
+  }
+  setInterval(closeOverdueSessions, DEADLINE_CHECK_MS).unref();
+  if (retentionLib.retentionEnabled(retention)) {
+    runRetention();
+    setInterval(runRetention, retention.intervalMs).unref();
+  }
+  app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+})();
@@ -0,0 +1,54 @@
+// backend/storage/index.js
+// Storage layer for events and sessions. One adapter is selected by
+// configuration (STORAGE=jsonl|sqlite|mongo) and every read and write goes
+// through it.
+//
+// Adapter interface (all methods async):
+//   init()                          open files / connections, create schema
+//   appendEvent(entry)              store one event (append-only)
+//   listEvents({ sessionId, limit }) events in insertion order; `limit` keeps the newest n
+//   countEvents()                   { [sessionId]: number of events }
+//   deleteEvents(sessionId)         remove a session's events; resolves how many
+//   saveSession(session)            insert or replace by `session.id`
+//   listSessions()                  every session, in creation order
+//   deleteSession(id)               remove a session (every stored version of it)
+//   saveExam(exam)                  insert or replace by `exam.id`
+//   listExams()                     every exam, in creation order
+//   appendAudit(entry)              store one audit entry (append-only)
+//   listAudit({ limit })            audit entries, oldest first; `limit` keeps the newest n
+//   saveWebhook(hook)               insert or replace by `hook.id`
+//   listWebhooks()                  every webhook, in creation order
+//   deleteWebhook(id)               remove a webhook
+//   saveDelivery(delivery)          insert or replace by `delivery.id` (one per webhook call)
+//   listDeliveries({ webhookId, limit }) deliveries in creation order; `limit` keeps the newest n
+//   deleteDeliveries(sessionId)     remove the deliveries about a session; resolves how many
+//   close()
+const path = require('path');
+
+const ADAPTERS = {
+  jsonl: () => require('./jsonl'),
+  sqlite: () => require('./sqlite'),
+  mongo: () => require('./mongo')
+};
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+function storageConfig(env = process.env) {
+  const kind = String(env.STORAGE || (env.MONGODB_URI ? 'mongo' : 'jsonl')).toLowerCase();
+  const dataDir = env.DATA_DIR ? path.resolve(env.DATA_DIR) : DEFAULT_DATA_DIR;
+  return {
+    kind,
+    dataDir,
+    sqliteFile: env.SQLITE_FILE ? path.resolve(env.SQLITE_FILE) : path.join(dataDir, 'proctoring.db'),
+    mongoUri: env.MONGODB_URI,
+    mongoDbName: env.MONGODB_DBNAME || 'proctoring'
+  };
+}
+
+function createStorage(config = storageConfig()) {
+  const load = ADAPTERS[config.kind];
+  if (!load) throw new Error(`unknown STORAGE "${config.kind}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+  return load().create(config);
+}
+
+module.exports = { createStorage, storageConfig };
@@ -0,0 +1,207 @@
+// backend/storage/jsonl.js
+// Append-only JSON Lines files: data/events.jsonl, data/sessions.jsonl,
+// data/exams.jsonl, data/audit.jsonl, data/webhooks.jsonl and
+// data/deliveries.jsonl.
+//   - Every event is one line, appended. The file is only rewritten to delete
+//     a session's events (retention purge, erasure).
+//   - Every session (exam, webhook, delivery) save appends the full document;
+//     the last line for an id wins. Superseded lines are compacted away on startup.
+//   - Appends are serialized through one promise chain per file, so concurrent
+//     requests cannot interleave partial lines.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const readline = require('readline');
+
+async function* readLines(file) {
+  if (!fs.existsSync(file)) return;
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (e) {
+      // a torn last line after a crash is skipped rather than failing every read
+      console.warn(`Skipping unreadable line in ${path.basename(file)}`);
+    }
+  }
+}
+
+function create({ dataDir }) {
+  const eventsFile = path.join(dataDir, 'events.jsonl');
+  const sessionsFile = path.join(dataDir, 'sessions.jsonl');
+  const examsFile = path.join(dataDir, 'exams.jsonl');
+  const auditFile = path.join(dataDir, 'audit.jsonl');
+  const webhooksFile = path.join(dataDir, 'webhooks.jsonl');
+  const deliveriesFile = path.join(dataDir, 'deliveries.jsonl');
+  const documentFiles = [sessionsFile, examsFile, webhooksFile, deliveriesFile];
+  const queues = {};
+  for (const file of [eventsFile, auditFile, ...documentFiles]) queues[file] = Promise.resolve();
+
+  function enqueue(file, fn) {
+    const next = queues[file].then(fn);
+    queues[file] = next.catch(() => {}); // one failed write must not block the ones after it
+    return next;
+  }
+
+  function append(file, doc) {
+    const line = JSON.stringify(doc) + '\n';
+    return enqueue(file, () => fsp.appendFile(file, line, 'utf8'));
+  }
+
+  // Rewrite `file` without the documents `drop` matches; resolves how many were dropped
+  function rewrite(file, drop) {
+    return enqueue(file, async () => {
+      const kept = [];
+      let dropped = 0;
+      for await (const doc of readLines(file)) {
+        if (drop(doc)) dropped++;
+        else kept.push(JSON.stringify(doc) + '\n');
+      }
+      if (!dropped) return 0;
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, kept.join(''), 'utf8');
+      await fsp.rename(tmp, file);
+      return dropped;
+    });
+  }
+
+  // Latest document per id (sessions, exams, webhooks, deliveries)
+  async function readLatest(file) {
+    const byId = new Map();
+    for await (const doc of readLines(file)) byId.set(doc.id, doc);
+    return byId;
+  }
+
+  async function init() {
+    await fsp.mkdir(dataDir, { recursive: true });
+    // compact the document files to one line per id
+    for (const file of documentFiles) {
+      const byId = await readLatest(file);
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, [...byId.values()].map(doc => JSON.stringify(doc) + '\n').join(''), 'utf8');
+      await fsp.rename(tmp, file);
+    }
+  }
+
+  async function appendEvent(entry) {
+    await append(eventsFile, entry);
+  }
+
+  async function listEvents({ sessionId, limit } = {}) {
+    await queues[eventsFile];
+    const out = [];
+    for await (const ev of readLines(eventsFile)) {
+      if (sessionId && ev.sessionId !== sessionId) continue;
+      out.push(ev);
+      if (limit && out.length > limit) out.shift();
+    }
+    return out;
+  }
+
+  function deleteEvents(sessionId) {
+    return rewrite(eventsFile, ev => ev.sessionId === sessionId);
+  }
+
+  async function countEvents() {
+    await queues[eventsFile];
+    const counts = {};
+    for await (const ev of readLines(eventsFile)) counts[ev.sessionId] = (counts[ev.sessionId] || 0) + 1;
+    return counts;
+  }
+
+  async function saveSession(session) {
+    await append(sessionsFile, session);
+  }
+
+  async function listSessions() {
+    await queues[sessionsFile];
+    return [...(await readLatest(sessionsFile)).values()];
+  }
+
+  async function deleteSession(id) {
+    await rewrite(sessionsFile, s => s.id === id);
+  }
+
+  async function saveExam(exam) {
+    await append(examsFile, exam);
+  }
+
+  async function listExams() {
+    await queues[examsFile];
+    return [...(await readLatest(examsFile)).values()];
+  }
+
+  async function appendAudit(entry) {
+    await append(auditFile, entry);
+  }
+
+  async function listAudit({ limit } = {}) {
+    await queues[auditFile];
+    const out = [];
+    for await (const entry of readLines(auditFile)) {
+      out.push(entry);
+      if (limit && out.length > limit) out.shift();
+    }
+    return out;
+  }
+
+  async function saveWebhook(hook) {
+    await append(webhooksFile, hook);
+  }
+
+  async function listWebhooks() {
+    await queues[webhooksFile];
+    return [...(await readLatest(webhooksFile)).values()];
+  }
+
+  async function deleteWebhook(id) {
+    await rewrite(webhooksFile, hook => hook.id === id);
+  }
+
+  async function saveDelivery(delivery) {
+    await append(deliveriesFile, delivery);
+  }
+
+  async function listDeliveries({ webhookId, limit } = {}) {
+    await queues[deliveriesFile];
+    const out = [...(await readLatest(deliveriesFile)).values()].filter(d => !webhookId || d.webhookId === webhookId);
+    return limit ? out.slice(-limit) : out;
+  }
+
+  // Counts deliveries, not the lines holding their saved states
+  async function deleteDeliveries(sessionId) {
+    const ids = new Set();
+    await rewrite(deliveriesFile, d => d.sessionId === sessionId && ids.add(d.id));
+    return ids.size;
+  }
+
+  async function close() {
+    await Promise.all(Object.values(queues));
+  }
+
+  return {
+    kind: 'jsonl',
+    init,
+    appendEvent,
+    listEvents,
+    countEvents,
+    deleteEvents,
+    saveSession,
+    listSessions,
+    deleteSession,
+    saveExam,
+    listExams,
+    appendAudit,
+    listAudit,
+    saveWebhook,
+    listWebhooks,
+    deleteWebhook,
+    saveDelivery,
+    listDeliveries,
+    deleteDeliveries,
+    close
+  };
+}
+
+module.exports = { create };
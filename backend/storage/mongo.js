@@ -0,0 +1,133 @@
+// backend/storage/mongo.js
+// MongoDB: `events`, `sessions`, `exams`, `audit`, `webhooks` and `deliveries`
+// collections in MONGODB_DBNAME.
+const { MongoClient } = require('mongodb');
+
+const NO_ID = { projection: { _id: 0 } };
+
+function create({ mongoUri, mongoDbName }) {
+  let client = null;
+  let db = null;
+
+  async function init() {
+    if (!mongoUri) throw new Error('STORAGE=mongo needs MONGODB_URI');
+    client = new MongoClient(mongoUri);
+    await client.connect();
+    db = client.db(mongoDbName);
+    await db.collection('events').createIndex({ sessionId: 1, _id: 1 });
+    await db.collection('sessions').createIndex({ id: 1 }, { unique: true });
+    await db.collection('exams').createIndex({ id: 1 }, { unique: true });
+    await db.collection('webhooks').createIndex({ id: 1 }, { unique: true });
+    await db.collection('deliveries').createIndex({ id: 1 }, { unique: true });
+    await db.collection('deliveries').createIndex({ webhookId: 1, _id: 1 });
+    console.log('MongoDB connected');
+  }
+
+  async function appendEvent(entry) {
+    // insertOne adds _id to the document it is given; keep the caller's object clean
+    await db.collection('events').insertOne({ ...entry });
+  }
+
+  async function listEvents({ sessionId, limit } = {}) {
+    const filter = sessionId ? { sessionId } : {};
+    if (!limit) return db.collection('events').find(filter, NO_ID).sort({ _id: 1 }).toArray();
+    const newest = await db.collection('events').find(filter, NO_ID).sort({ _id: -1 }).limit(limit).toArray();
+    return newest.reverse();
+  }
+
+  async function countEvents() {
+    const rows = await db.collection('events').aggregate([{ $group: { _id: '$sessionId', n: { $sum: 1 } } }]).toArray();
+    return Object.fromEntries(rows.map(r => [r._id, r.n]));
+  }
+
+  async function deleteEvents(sessionId) {
+    return (await db.collection('events').deleteMany({ sessionId })).deletedCount;
+  }
+
+  async function saveSession(session) {
+    await db.collection('sessions').replaceOne({ id: session.id }, { ...session }, { upsert: true });
+  }
+
+  async function listSessions() {
+    return db.collection('sessions').find({}, NO_ID).sort({ _id: 1 }).toArray();
+  }
+
+  async function deleteSession(id) {
+    await db.collection('sessions').deleteOne({ id });
+  }
+
+  async function saveExam(exam) {
+    await db.collection('exams').replaceOne({ id: exam.id }, { ...exam }, { upsert: true });
+  }
+
+  async function listExams() {
+    return db.collection('exams').find({}, NO_ID).sort({ _id: 1 }).toArray();
+  }
+
+  async function appendAudit(entry) {
+    await db.collection('audit').insertOne({ ...entry });
+  }
+
+  async function listAudit({ limit } = {}) {
+    if (!limit) return db.collection('audit').find({}, NO_ID).sort({ _id: 1 }).toArray();
+    const newest = await db.collection('audit').find({}, NO_ID).sort({ _id: -1 }).limit(limit).toArray();
+    return newest.reverse();
+  }
+
+  async function saveWebhook(hook) {
+    await db.collection('webhooks').replaceOne({ id: hook.id }, { ...hook }, { upsert: true });
+  }
+
+  async function listWebhooks() {
+    return db.collection('webhooks').find({}, NO_ID).sort({ _id: 1 }).toArray();
+  }
+
+  async function deleteWebhook(id) {
+    await db.collection('webhooks').deleteOne({ id });
+  }
+
+  async function saveDelivery(delivery) {
+    await db.collection('deliveries').replaceOne({ id: delivery.id }, { ...delivery }, { upsert: true });
+  }
+
+  async function listDeliveries({ webhookId, limit } = {}) {
+    const filter = webhookId ? { webhookId } : {};
+    if (!limit) return db.collection('deliveries').find(filter, NO_ID).sort({ _id: 1 }).toArray();
+    const newest = await db.collection('deliveries').find(filter, NO_ID).sort({ _id: -1 }).limit(limit).toArray();
+    return newest.reverse();
+  }
+
+  async function deleteDeliveries(sessionId) {
+    return (await db.collection('deliveries').deleteMany({ sessionId })).deletedCount;
+  }
+
+  async function close() {
+    if (client) await client.close();
+    client = null;
+  }
+
+  return {
+    kind: 'mongo',
+    init,
+    appendEvent,
+    listEvents,
+    countEvents,
+    deleteEvents,
+    saveSession,
+    listSessions,
+    deleteSession,
+    saveExam,
+    listExams,
+    appendAudit,
+    listAudit,
+    saveWebhook,
+    listWebhooks,
+    deleteWebhook,
+    saveDelivery,
+    listDeliveries,
+    deleteDeliveries,
+    close
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,187 @@
+// backend/storage/sqlite.js
+// SQLite through better-sqlite3 (optional dependency: `npm install better-sqlite3`).
+// Documents are stored as JSON text next to the indexed columns used for lookups.
+const fs = require('fs');
+const path = require('path');
+
+function create({ sqliteFile }) {
+  let db = null;
+  let stmts = null;
+
+  async function init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (e) {
+      throw new Error('STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    fs.mkdirSync(path.dirname(sqliteFile), { recursive: true });
+    db = new Database(sqliteFile);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS events_session ON events (session_id, seq);
+      CREATE TABLE IF NOT EXISTS sessions (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        doc TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS exams (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        doc TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS audit (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS webhooks (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        doc TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS deliveries (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        webhook_id TEXT,
+        session_id TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS deliveries_webhook ON deliveries (webhook_id, seq);
+    `);
+    stmts = {
+      insertEvent: db.prepare('INSERT INTO events (session_id, doc) VALUES (?, ?)'),
+      allEvents: db.prepare('SELECT doc FROM events ORDER BY seq'),
+      lastEvents: db.prepare('SELECT doc FROM (SELECT seq, doc FROM events ORDER BY seq DESC LIMIT ?) ORDER BY seq'),
+      sessionEvents: db.prepare('SELECT doc FROM events WHERE session_id = ? ORDER BY seq'),
+      lastSessionEvents: db.prepare('SELECT doc FROM (SELECT seq, doc FROM events WHERE session_id = ? ORDER BY seq DESC LIMIT ?) ORDER BY seq'),
+      countEvents: db.prepare('SELECT session_id AS sessionId, COUNT(*) AS n FROM events GROUP BY session_id'),
+      deleteEvents: db.prepare('DELETE FROM events WHERE session_id = ?'),
+      upsertSession: db.prepare('INSERT INTO sessions (id, doc) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET doc = excluded.doc'),
+      allSessions: db.prepare('SELECT doc FROM sessions ORDER BY seq'),
+      deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?'),
+      upsertExam: db.prepare('INSERT INTO exams (id, doc) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET doc = excluded.doc'),
+      allExams: db.prepare('SELECT doc FROM exams ORDER BY seq'),
+      insertAudit: db.prepare('INSERT INTO audit (doc) VALUES (?)'),
+      allAudit: db.prepare('SELECT doc FROM audit ORDER BY seq'),
+      lastAudit: db.prepare('SELECT doc FROM (SELECT seq, doc FROM audit ORDER BY seq DESC LIMIT ?) ORDER BY seq'),
+      upsertWebhook: db.prepare('INSERT INTO webhooks (id, doc) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET doc = excluded.doc'),
+      allWebhooks: db.prepare('SELECT doc FROM webhooks ORDER BY seq'),
+      deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+      upsertDelivery: db.prepare('INSERT INTO deliveries (id, webhook_id, session_id, doc) VALUES (?, ?, ?, ?) ON CONFLICT (id) DO UPDATE SET doc = excluded.doc'),
+      allDeliveries: db.prepare('SELECT doc FROM deliveries ORDER BY seq'),
+      lastDeliveries: db.prepare('SELECT doc FROM (SELECT seq, doc FROM deliveries ORDER BY seq DESC LIMIT ?) ORDER BY seq'),
+      webhookDeliveries: db.prepare('SELECT doc FROM deliveries WHERE webhook_id = ? ORDER BY seq'),
+      lastWebhookDeliveries: db.prepare('SELECT doc FROM (SELECT seq, doc FROM deliveries WHERE webhook_id = ? ORDER BY seq DESC LIMIT ?) ORDER BY seq'),
+      deleteDeliveries: db.prepare('DELETE FROM deliveries WHERE session_id = ?')
+    };
+  }
+
+  async function appendEvent(entry) {
+    stmts.insertEvent.run(entry.sessionId || null, JSON.stringify(entry));
+  }
+
+  async function listEvents({ sessionId, limit } = {}) {
+    let rows;
+    if (sessionId) rows = limit ? stmts.lastSessionEvents.all(sessionId, limit) : stmts.sessionEvents.all(sessionId);
+    else rows = limit ? stmts.lastEvents.all(limit) : stmts.allEvents.all();
+    return rows.map(r => JSON.parse(r.doc));
+  }
+
+  async function countEvents() {
+    return Object.fromEntries(stmts.countEvents.all().map(r => [r.sessionId, r.n]));
+  }
+
+  async function deleteEvents(sessionId) {
+    return stmts.deleteEvents.run(sessionId).changes;
+  }
+
+  async function saveSession(session) {
+    stmts.upsertSession.run(session.id, JSON.stringify(session));
+  }
+
+  async function listSessions() {
+    return stmts.allSessions.all().map(r => JSON.parse(r.doc));
+  }
+
+  async function deleteSession(id) {
+    stmts.deleteSession.run(id);
+  }
+
+  async function saveExam(exam) {
+    stmts.upsertExam.run(exam.id, JSON.stringify(exam));
+  }
+
+  async function listExams() {
+    return stmts.allExams.all().map(r => JSON.parse(r.doc));
+  }
+
+  async function appendAudit(entry) {
+    stmts.insertAudit.run(JSON.stringify(entry));
+  }
+
+  async function listAudit({ limit } = {}) {
+    return (limit ? stmts.lastAudit.all(limit) : stmts.allAudit.all()).map(r => JSON.parse(r.doc));
+  }
+
+  async function saveWebhook(hook) {
+    stmts.upsertWebhook.run(hook.id, JSON.stringify(hook));
+  }
+
+  async function listWebhooks() {
+    return stmts.allWebhooks.all().map(r => JSON.parse(r.doc));
+  }
+
+  async function deleteWebhook(id) {
+    stmts.deleteWebhook.run(id);
+  }
+
+  async function saveDelivery(delivery) {
+    stmts.upsertDelivery.run(delivery.id, delivery.webhookId, delivery.sessionId || null, JSON.stringify(delivery));
+  }
+
+  async function listDeliveries({ webhookId, limit } = {}) {
+    let rows;
+    if (webhookId) rows = limit ? stmts.lastWebhookDeliveries.all(webhookId, limit) : stmts.webhookDeliveries.all(webhookId);
+    else rows = limit ? stmts.lastDeliveries.all(limit) : stmts.allDeliveries.all();
+    return rows.map(r => JSON.parse(r.doc));
+  }
+
+  async function deleteDeliveries(sessionId) {
+    return stmts.deleteDeliveries.run(sessionId).changes;
+  }
+
+  async function close() {
+    if (db) db.close();
+    db = null;
+  }
+
+  return {
+    kind: 'sqlite',
+    init,
+    appendEvent,
+    listEvents,
+    countEvents,
+    deleteEvents,
+    saveSession,
+    listSessions,
+    deleteSession,
+    saveExam,
+    listExams,
+    appendAudit,
+    listAudit,
+    saveWebhook,
+    listWebhooks,
+    deleteWebhook,
+    saveDelivery,
+    listDeliveries,
+    deleteDeliveries,
+    close
+  };
+}
+
+module.exports = { create };
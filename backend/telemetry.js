@@ -0,0 +1,123 @@
+// backend/telemetry.js
+// Detection performance telemetry. The candidate page logs one
+// detection_telemetry event per window (public/inference.js createTelemetry)
+// with detail { from, to, backend, worker, frames, dropped, faceMs, objectMs,
+// objectFrames, intervalMs }: frames analysed, frames skipped because
+// inference was still busy, mean inference times and the TF backend.
+// Reports summarize them and list the periods where detection ran below the
+// profile's minDetectionFps, so reviewers know when fewer frames were checked.
+
+const TELEMETRY_TYPE = 'detection_telemetry';
+const DROPPED_RATIO_DEGRADED = 0.5;
+
+function msToHuman(ms) {
+  const s = Math.round(ms / 1000);
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
+// The telemetry windows among `events`, oldest first; malformed ones are skipped
+function telemetrySamples(events) {
+  const samples = [];
+  for (const ev of events) {
+    if (ev.type !== TELEMETRY_TYPE || !ev.detail) continue;
+    const d = ev.detail;
+    const from = new Date(d.from), to = new Date(d.to);
+    const count = (v) => (Number.isInteger(v) && v >= 0 ? v : null);
+    const ms = (v) => (v != null && Number(v) >= 0 ? Number(v) : null);
+    const sample = {
+      from: isFinite(from) ? from.toISOString() : null,
+      to: isFinite(to) ? to.toISOString() : null,
+      backend: String(d.backend || 'unknown'),
+      worker: !!d.worker,
+      frames: count(d.frames),
+      dropped: count(d.dropped),
+      objectFrames: count(d.objectFrames) || 0,
+      faceMs: ms(d.faceMs),
+      objectMs: ms(d.objectMs)
+    };
+    if (!sample.from || !sample.to || to < from || sample.frames == null || sample.dropped == null) continue;
+    samples.push(sample);
+  }
+  return samples.sort((a, b) => new Date(a.from) - new Date(b.from));
+}
+
+// Summary, or null without telemetry:
+//   { backends, worker, windows, frames, dropped, fps, faceMs, objectMs, minFps,
+//     degraded: [{ from, to, durationMs, fps, dropped, reason }], degradedMs }
+// A window is degraded below minFps or when more than half its frames were
+// dropped; back-to-back degraded windows form one period.
+function summarizeTelemetry(events, minFps) {
+  const samples = telemetrySamples(events);
+  if (!samples.length) return null;
+  let frames = 0, dropped = 0, spanMs = 0, faceTotal = 0, faceFrames = 0, objectTotal = 0, objectFrames = 0;
+  const degraded = [];
+  for (const s of samples) {
+    const ms = new Date(s.to) - new Date(s.from);
+    frames += s.frames; dropped += s.dropped; spanMs += ms;
+    if (s.faceMs != null) { faceTotal += s.faceMs * s.frames; faceFrames += s.frames; }
+    if (s.objectMs != null) { objectTotal += s.objectMs * s.objectFrames; objectFrames += s.objectFrames; }
+
+    const fps = ms > 0 ? s.frames / (ms / 1000) : 0;
+    const reasons = [];
+    if (fps < minFps) reasons.push('low fps');
+    if (s.dropped > (s.frames + s.dropped) * DROPPED_RATIO_DEGRADED) reasons.push('dropped frames');
+    if (!reasons.length) continue;
+    const last = degraded[degraded.length - 1];
+    if (last && last.to === s.from) {
+      last.to = s.to; last.frames += s.frames; last.dropped += s.dropped;
+      reasons.forEach(r => last.reasons.add(r));
+    } else {
+      degraded.push({ from: s.from, to: s.to, frames: s.frames, dropped: s.dropped, reasons: new Set(reasons) });
+    }
+  }
+  const round = (v) => Math.round(v * 10) / 10;
+  const periods = degraded.map(p => {
+    const durationMs = new Date(p.to) - new Date(p.from);
+    return {
+      from: p.from,
+      to: p.to,
+      durationMs,
+      fps: durationMs > 0 ? round(p.frames / (durationMs / 1000)) : 0,
+      dropped: p.dropped,
+      reason: [...p.reasons].join(', ')
+    };
+  });
+  return {
+    backends: [...new Set(samples.map(s => s.backend))],
+    worker: samples.every(s => s.worker),
+    windows: samples.length,
+    frames,
+    dropped,
+    fps: spanMs > 0 ? round(frames / (spanMs / 1000)) : 0,
+    faceMs: faceFrames ? round(faceTotal / faceFrames) : null,
+    objectMs: objectFrames ? round(objectTotal / objectFrames) : null,
+    minFps,
+    degraded: periods,
+    degradedMs: periods.reduce((sum, p) => sum + p.durationMs, 0)
+  };
+}
+
+// Summary under the session's profile (profiles before v6 had no minDetectionFps)
+function sessionTelemetry(session, events) {
+  const settings = (session.profile && session.profile.settings) || {};
+  return summarizeTelemetry(events, settings.minDetectionFps != null ? settings.minDetectionFps : 2);
+}
+
+// One line for reports
+function telemetryLine(t) {
+  if (!t) return 'no telemetry';
+  const where = t.worker ? 'worker' : 'main thread';
+  const timing = t.faceMs != null ? `, face ${t.faceMs} ms` : '';
+  const objects = t.objectMs != null ? `, objects ${t.objectMs} ms` : '';
+  const coverage = t.degraded.length
+    ? `degraded ${t.degraded.length}x for ${msToHuman(t.degradedMs)} (below ${t.minFps} fps or dropping frames)`
+    : 'not degraded';
+  return `${t.backends.join('/')} (${where}), ${t.fps} fps${timing}${objects}, ${t.dropped} frames dropped; ${coverage}`;
+}
+
+module.exports = {
+  TELEMETRY_TYPE,
+  sessionTelemetry,
+  summarizeTelemetry,
+  telemetryLine
+};
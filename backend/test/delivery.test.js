@@ -0,0 +1,35 @@
+// backend/test/delivery.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEQ_WINDOW, createSeqIndex, deliverySummary } = require('../delivery');
+
+// Storage stub holding the events already stored for one session
+function storageWith(seqs) {
+  return { listEvents: async () => seqs.map(seq => ({ sessionId: 's1', seq })) };
+}
+
+test('a seq more than SEQ_WINDOW past the highest stored is out of range', async () => {
+  const index = createSeqIndex(storageWith([1, 2, 3]));
+  assert.strictEqual(await index.inRange('s1', 3 + SEQ_WINDOW), true);
+  assert.strictEqual(await index.inRange('s1', 4 + SEQ_WINDOW), false);
+  assert.strictEqual(await index.inRange('s1', 1e15), false);
+});
+
+test('the window starts at 0 for a session without events, and moves with claims', async () => {
+  const index = createSeqIndex(storageWith([]));
+  assert.strictEqual(await index.inRange('s1', SEQ_WINDOW), true);
+  assert.strictEqual(await index.inRange('s1', SEQ_WINDOW + 1), false);
+  assert.strictEqual(await index.claim('s1', SEQ_WINDOW), true);
+  assert.strictEqual(await index.inRange('s1', 2 * SEQ_WINDOW), true);
+});
+
+test('deliverySummary counts the gaps up to lastSeq', () => {
+  const events = [1, 2, 5].map(seq => ({ seq }));
+  assert.deepStrictEqual(deliverySummary(events, 6), {
+    received: 3,
+    highestSeq: 5,
+    lastSeq: 6,
+    missing: [[3, 4], [6, 6]],
+    missingCount: 3
+  });
+});
@@ -0,0 +1,35 @@
+// backend/test/report.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildReport, reportToCSV } = require('../report');
+const { DEFAULT_POLICY_ID, getPolicy } = require('../scoring');
+
+const policy = getPolicy(DEFAULT_POLICY_ID);
+
+const session = {
+  id: 's1',
+  candidateName: 'Ada',
+  status: 'closed',
+  startedAt: '2026-01-01T10:00:00.000Z',
+  endedAt: '2026-01-01T11:00:00.000Z'
+};
+
+test('a session with events is scored', () => {
+  const events = [{ type: 'looking_away', timestamp: '2026-01-01T10:10:00.000Z', detail: {} }];
+  const report = buildReport(session, events, policy);
+  assert.strictEqual(report.eventsPurgedAt, null);
+  assert.strictEqual(report.lookingAwayCount, 1);
+  assert.strictEqual(typeof report.integrityScore, 'number');
+});
+
+test('a session whose events were purged has no score and says when they went', () => {
+  const purgedAt = '2026-03-01T00:00:00.000Z';
+  const report = buildReport({ ...session, purged: { events: purgedAt } }, [], policy);
+  assert.strictEqual(report.eventsPurgedAt, purgedAt);
+  assert.strictEqual(report.integrityScore, null);
+  assert.strictEqual(report.scoring, null);
+  assert.strictEqual(report.lookingAwayCount, null);
+  assert.strictEqual(report.noFaceCount, null);
+  const csv = reportToCSV(report);
+  assert.match(csv, /Integrity Score,not available \(events purged 2026-03-01T00:00:00.000Z\)/);
+});
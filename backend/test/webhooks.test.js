@@ -0,0 +1,42 @@
+// backend/test/webhooks.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebhookDispatcher } = require('../webhooks');
+
+// Storage stub keeping the latest saved copy of each delivery
+function memoryStorage() {
+  const saved = new Map();
+  return {
+    saved,
+    saveDelivery: async (d) => { saved.set(d.id, JSON.parse(JSON.stringify(d))); },
+    listDeliveries: async () => [...saved.values()]
+  };
+}
+
+test('cancelWebhook records pending deliveries as cancelled and stops retrying them', async () => {
+  const storage = memoryStorage();
+  const hook = { id: 'w1', url: 'http://receiver.test/hook', secret: 's', events: ['session.completed'] };
+  let hooks = [hook];
+  let calls = 0;
+  const dispatcher = createWebhookDispatcher({
+    storage,
+    hooks: () => hooks,
+    retryDelaysMs: [20, 20, 20],
+    fetchImpl: async () => { calls++; throw new Error('connection refused'); }
+  });
+
+  const [delivery] = await dispatcher.emit('session.completed', { sessionId: 's1' });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(storage.saved.get(delivery.id).status, 'pending');
+
+  hooks = [];
+  assert.strictEqual(await dispatcher.cancelWebhook('w1'), 1);
+  const stored = storage.saved.get(delivery.id);
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.nextAttemptAt, null);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(await dispatcher.cancelWebhook('w1'), 0);
+});
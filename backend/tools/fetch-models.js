@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// backend/tools/fetch-models.js
+// Download the BlazeFace and COCO-SSD weights into MODELS_DIR (default
+// backend/models) so the server can host them.
+//
+//   node backend/tools/fetch-models.js [--from <base url>] [--verify | --pin]
+//
+// Each model's model.json is fetched first, then every weight shard it lists.
+// Every file must be pinned in the committed MODELS_DIR/SHA256SUMS and match
+// its sum, or nothing is written: a missing SHA256SUMS or an unpinned file is
+// an error, so the weights are never trusted on first use.
+//
+// --from <base url>  download from a mirror laid out like MODELS_DIR
+//                    (<base>/<model id>/model.json, ...) instead of upstream
+// --verify           download nothing; check the local files against SHA256SUMS
+// --pin              (maintainers, when changing a model's version) download,
+//                    write the sums of what was downloaded to SHA256SUMS and
+//                    print them; check them against the upstream release
+//                    before committing the file
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MODELS, MODELS_DIR, SUMS_FILE, readSums, verifyAssets, writeSums } = require('../assets');
+
+function parseArgs(argv) {
+  const args = { from: null, verify: false, pin: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i].replace(/\/?$/, '/');
+    else if (argv[i] === '--verify') args.verify = true;
+    else if (argv[i] === '--pin') args.pin = true;
+    else throw new Error(`unknown argument ${argv[i]}`);
+  }
+  if (args.verify && args.pin) throw new Error('--verify and --pin cannot be combined');
+  return args;
+}
+
+async function download(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`${url}: HTTP ${resp.status}`);
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+async function fetchModel(model, args, sums) {
+  const base = args.from ? `${args.from}${model.id}/` : model.source;
+  const query = args.from ? '' : model.query;
+  const dir = path.join(MODELS_DIR, model.id);
+  const files = new Map(); // name -> buffer, written only once every file checks out
+
+  const modelJson = await download(`${base}model.json${query}`);
+  files.set('model.json', modelJson);
+  const manifest = JSON.parse(modelJson.toString('utf8')).weightsManifest || [];
+  for (const group of manifest) {
+    for (const shard of group.paths) files.set(shard, await download(`${base}${shard}${query}`));
+  }
+
+  for (const [name, buf] of files) {
+    const key = `${model.id}/${name}`;
+    const hash = sha256(buf);
+    if (args.pin) {
+      console.log(`pinning ${hash}  ${key}`);
+      sums.set(key, hash);
+    } else if (!sums.has(key)) {
+      throw new Error(`${key} is not pinned in ${SUMS_FILE} (got ${hash})`);
+    } else if (sums.get(key) !== hash) {
+      throw new Error(`${key} does not match ${SUMS_FILE} (got ${hash})`);
+    }
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, buf] of files) fs.writeFileSync(path.join(dir, name), buf);
+  console.log(`${model.id}: ${files.size} files`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.verify) {
+    const sumsFile = path.join(MODELS_DIR, SUMS_FILE);
+    if (!args.pin && !fs.existsSync(sumsFile)) {
+      throw new Error(`${sumsFile} is missing: restore backend/models/${SUMS_FILE} from the repository, or pin the models with --pin and check the sums against the upstream release`);
+    }
+    fs.mkdirSync(MODELS_DIR, { recursive: true });
+    // --pin starts from scratch, so files no longer listed by a model drop out
+    const sums = args.pin ? new Map() : readSums();
+    for (const model of MODELS) await fetchModel(model, args, sums);
+    if (args.pin) writeSums(sums);
+  }
+  const { problems } = verifyAssets();
+  for (const p of problems) console.log(`problem: ${p}`);
+  if (problems.length) process.exit(1);
+  console.log('All libraries and models match their pins.');
+}
+
+main().catch(err => {
+  console.error('fetch-models failed:', err.message);
+  process.exit(1);
+});
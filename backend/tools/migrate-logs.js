@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// backend/tools/migrate-logs.js
+// Import the pre-storage-layer files (backend/logs.json, backend/sessions.json)
+// into the storage adapter selected by the environment (STORAGE, DATA_DIR,
+// SQLITE_FILE, MONGODB_URI — same settings as the server).
+//
+//   node backend/tools/migrate-logs.js [--logs file] [--sessions file] [--force]
+//
+// Sessions are upserted by id, so re-running is safe for them. Events have no
+// id, so the import refuses to run against a store that already has events
+// unless --force is given.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createStorage, storageConfig } = require('../storage');
+
+function parseArgs(argv) {
+  const args = {
+    logs: path.join(__dirname, '..', 'logs.json'),
+    sessions: path.join(__dirname, '..', 'sessions.json'),
+    force: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--logs') args.logs = path.resolve(argv[++i]);
+    else if (argv[i] === '--sessions') args.sessions = path.resolve(argv[++i]);
+    else if (argv[i] === '--force') args.force = true;
+    else throw new Error(`unknown argument ${argv[i]}`);
+  }
+  return args;
+}
+
+function readArray(file) {
+  if (!fs.existsSync(file)) return null;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8') || '[]');
+  if (!Array.isArray(data)) throw new Error(`${file} does not contain a JSON array`);
+  return data;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const events = readArray(args.logs);
+  const sessions = readArray(args.sessions);
+  if (!events && !sessions) throw new Error(`nothing to import: neither ${args.logs} nor ${args.sessions} exists`);
+
+  const storage = createStorage(storageConfig());
+  await storage.init();
+  try {
+    if (sessions) {
+      for (const s of sessions) await storage.saveSession(s);
+      console.log(`Imported ${sessions.length} sessions into ${storage.kind}`);
+    }
+    if (events) {
+      const existing = Object.values(await storage.countEvents()).reduce((a, b) => a + b, 0);
+      if (existing && !args.force) {
+        throw new Error(`${storage.kind} storage already holds ${existing} events; re-run with --force to append anyway`);
+      }
+      // oldest first, so insertion order matches the original file
+      for (const ev of events) await storage.appendEvent(ev);
+      console.log(`Imported ${events.length} events into ${storage.kind}`);
+    }
+  } finally {
+    await storage.close();
+  }
+  console.log('Done. The old files are left in place; delete or archive them once the import is checked.');
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
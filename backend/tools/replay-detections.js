@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// backend/tools/replay-detections.js
+// Replays detection traces through public/detection-core.js and checks the
+// events it emits, so threshold and rule changes can be checked without a camera.
+// Attention samples in a trace are summarized by public/attention.js and
+// checked the same way.
+//
+//   node backend/tools/replay-detections.js [--print] [trace.jsonl ...]
+//
+// With no files, every trace in backend/tools/traces/ is replayed. Exit code 1
+// if any trace fails. --print shows the emitted events (use it to write the
+// `expect` line of a new trace).
+//
+// Trace format, one JSON object per line:
+//   { "kind": "config", "profile": "strict", "settings": { ... }, "baseline": { ... } }
+//       optional, first line; starts from a built-in exam profile (default:
+//       "default") and overrides individual settings. `baseline` is a
+//       calibration baseline (computeBaseline in detection-core.js)
+//   { "t": 0, "width": 640, "height": 480, "faces": [{ "box": [x, y, w, h] }], "objects": [...] }
+//       one frame. Add "repeat": { "every": 500, "until": 12000 } to repeat it
+//       up to and including `until` (synthetic traces)
+//   { "kind": "attention_sample", "from": "...", "seconds": "FFA-", ... }
+//       one attention_sample detail as the candidate page logs it, in the
+//       order it arrived (samples may overlap or come out of order)
+//   { "kind": "expect", "events": [{ "type": "no_face", "t": 10500, "detail": { ... } }], "attention": { ... } }
+//       the exact list of events, in order; `detail` is matched as a subset
+//       (including the close events of episodes still open after the last frame).
+//       `attention`, if given, is matched as a subset of the samples' summary
+// Traces downloaded from the candidate page (?trace=1) carry a config line
+// with the full settings and no expect line.
+const fs = require('fs');
+const path = require('path');
+const DetectionCore = require('../../public/detection-core');
+const Attention = require('../../public/attention');
+const { BUILTIN_PROFILES } = require('../exam-profiles');
+
+const TRACES_DIR = path.join(__dirname, 'traces');
+
+function readTrace(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const trace = { config: null, frames: [], samples: [], expect: null, expectAttention: undefined };
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${path.basename(file)}:${i + 1}: ${e.message}`);
+    }
+    if (obj.kind === 'config') trace.config = obj;
+    else if (obj.kind === 'expect') {
+      trace.expect = obj.events || [];
+      trace.expectAttention = obj.attention;
+    } else if (obj.kind === Attention.SAMPLE_TYPE) {
+      const { kind, ...detail } = obj;
+      trace.samples.push(detail);
+    } else if (obj.repeat) {
+      const { repeat, ...frame } = obj;
+      for (let t = frame.t; t <= repeat.until; t += repeat.every) trace.frames.push({ ...frame, t });
+    } else trace.frames.push(obj);
+  });
+  trace.frames.sort((a, b) => a.t - b.t);
+  return trace;
+}
+
+function traceSettings(config) {
+  const id = (config && config.profile) || 'default';
+  const profile = BUILTIN_PROFILES.find(p => p.id === id);
+  if (!profile) throw new Error(`unknown profile ${id}`);
+  return { ...profile.settings, ...((config && config.settings) || {}) };
+}
+
+function replay(trace) {
+  const baseline = (trace.config && trace.config.baseline) || null;
+  const detector = DetectionCore.createDetector(traceSettings(trace.config), { baseline });
+  const events = [];
+  for (const frame of trace.frames) events.push(...detector.step(frame).events);
+  // episodes still open at the end are closed, as when the session stops
+  if (trace.frames.length) events.push(...detector.finish(trace.frames[trace.frames.length - 1].t));
+  return events;
+}
+
+// true if every key in `expected` matches `actual` (recursively, arrays by element)
+function matches(expected, actual) {
+  if (expected === null || typeof expected !== 'object') return expected === actual;
+  if (actual === null || typeof actual !== 'object') return false;
+  return Object.keys(expected).every(k => matches(expected[k], actual[k]));
+}
+
+function compare(expected, actual) {
+  const problems = [];
+  const n = Math.max(expected.length, actual.length);
+  for (let i = 0; i < n; i++) {
+    const e = expected[i], a = actual[i];
+    if (!a) problems.push(`missing #${i}: ${JSON.stringify(e)}`);
+    else if (!e) problems.push(`unexpected #${i}: ${JSON.stringify(a)}`);
+    else if (!matches(e, a)) problems.push(`#${i}: expected ${JSON.stringify(e)}, got ${JSON.stringify(a)}`);
+  }
+  return problems;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const print = args.includes('--print');
+  let files = args.filter(a => a !== '--print');
+  if (!files.length) {
+    files = fs.readdirSync(TRACES_DIR).filter(f => f.endsWith('.jsonl')).sort().map(f => path.join(TRACES_DIR, f));
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const name = path.basename(file);
+    let trace, events, attention;
+    try {
+      trace = readTrace(file);
+      events = replay(trace);
+      attention = trace.samples.length ? Attention.summarize(trace.samples) : null;
+    } catch (e) {
+      failed++;
+      console.log(`ERROR ${name}: ${e.message}`);
+      continue;
+    }
+    if (print || !trace.expect) {
+      console.log(`${name}: ${trace.frames.length} frames, ${events.length} events`);
+      for (const ev of events) console.log('  ' + JSON.stringify(ev));
+      if (attention) console.log('  attention ' + JSON.stringify(attention));
+    }
+    if (!trace.expect) continue;
+    const problems = compare(trace.expect, events);
+    if (trace.expectAttention !== undefined && !matches(trace.expectAttention, attention)) {
+      problems.push(`attention: expected ${JSON.stringify(trace.expectAttention)}, got ${JSON.stringify(attention)}`);
+    }
+    if (problems.length) {
+      failed++;
+      console.log(`FAIL ${name}`);
+      for (const p of problems) console.log(`  ${p}`);
+    } else {
+      console.log(`PASS ${name} (${events.length} events)`);
+    }
+  }
+  if (failed) {
+    console.log(`${failed} of ${files.length} trace(s) failed`);
+    process.exit(1);
+  }
+}
+
+main();
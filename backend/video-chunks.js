@@ -0,0 +1,131 @@
+// backend/video-chunks.js
+// Chunked video storage. The client uploads MediaRecorder slices as they are
+// produced (PUT .../video/segments/:segment/chunks/:index); chunks are kept per
+// session until a finalize step checks that none are missing and concatenates
+// them in order. Each MediaRecorder run is a segment of its own: a recorder
+// restarted after a reload begins a new WebM stream with its own header, so
+// its slices cannot be appended to the earlier ones. The segment id is the
+// time the run started (ms since the epoch); segments are assembled into
+// separate files. Indices and totals are capped at MAX_CHUNKS (one-second
+// slices for a full day), segments at MAX_SEGMENTS per session.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const MAX_CHUNKS = 24 * 60 * 60;
+const MAX_SEGMENTS = 50;
+
+function chunkDir(uploadsDir, sessionId) {
+  return path.join(uploadsDir, 'chunks', sessionId);
+}
+
+function isSegmentId(value) {
+  return /^\d{1,15}$/.test(String(value));
+}
+
+function segmentDir(uploadsDir, sessionId, segment) {
+  return path.join(chunkDir(uploadsDir, sessionId), String(Number(segment)));
+}
+
+// Sorted list of the segment ids that have chunks on disk
+async function listSegments(dir) {
+  let entries = [];
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return entries
+    .filter(e => e.isDirectory() && isSegmentId(e.name))
+    .map(e => Number(e.name))
+    .sort((a, b) => a - b);
+}
+
+function chunkFile(dir, index) {
+  return path.join(dir, `${String(index).padStart(6, '0')}.part`);
+}
+
+// Sorted list of chunk indices present on disk
+async function listChunks(dir) {
+  let names = [];
+  try {
+    names = await fsp.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return names
+    .filter(n => /^\d+\.part$/.test(n))
+    .map(n => parseInt(n, 10))
+    .sort((a, b) => a - b);
+}
+
+// Store one chunk. Re-sending an index overwrites it, so retries are safe.
+// If `sha256` is given the body must match it.
+async function saveChunk(dir, index, buf, sha256) {
+  if (sha256) {
+    const actual = crypto.createHash('sha256').update(buf).digest('hex');
+    if (actual !== String(sha256).toLowerCase()) {
+      const err = new Error('chunk checksum mismatch');
+      err.status = 422;
+      throw err;
+    }
+  }
+  await fsp.mkdir(dir, { recursive: true });
+  const dest = chunkFile(dir, index);
+  const tmp = `${dest}.${process.pid}.${Date.now()}.tmp`;
+  await fsp.writeFile(tmp, buf);
+  await fsp.rename(tmp, dest);
+}
+
+// Gaps in [0, total) as { count, ranges: [[first, last], ...] }; `received`
+// is sorted (listChunks). Proportional to what was received, not to `total`.
+function missingChunks(received, total) {
+  const ranges = [];
+  let count = 0;
+  let next = 0;
+  for (const i of received) {
+    if (i >= total) break;
+    if (i > next) {
+      ranges.push([next, i - 1]);
+      count += i - next;
+    }
+    next = Math.max(next, i + 1);
+  }
+  if (next < total) {
+    ranges.push([next, total - 1]);
+    count += total - next;
+  }
+  return { count, ranges };
+}
+
+// Concatenate chunks 0..total-1 into `dest`, then remove the chunk directory
+async function assemble(dir, total, dest) {
+  const out = fs.createWriteStream(dest);
+  try {
+    for (let i = 0; i < total; i++) {
+      await pipeline(fs.createReadStream(chunkFile(dir, i)), out, { end: false });
+    }
+  } finally {
+    await new Promise(resolve => out.end(resolve));
+  }
+  const { size } = await fsp.stat(dest);
+  await fsp.rm(dir, { recursive: true, force: true });
+  return size;
+}
+
+module.exports = {
+  MAX_CHUNKS,
+  MAX_SEGMENTS,
+  assemble,
+  chunkDir,
+  isSegmentId,
+  listChunks,
+  listSegments,
+  missingChunks,
+  saveChunk,
+  segmentDir
+};
@@ -0,0 +1,245 @@
+// backend/webhooks.js
+// Outbound webhooks. An admin registers a URL with the events it wants:
+//   session.completed  a session closed; `data` is its server-built report
+//   event.flagged      a high-severity event was stored (the webhook's
+//                      `flaggedTypes`, default DEFAULT_FLAGGED_TYPES); an
+//                      episode is sent once, when it opens
+//   upload.completed   a session's recording was stored
+// and `ping` is sent on request to test a receiver.
+//
+// Every call is recorded as a delivery: { id, webhookId, event, sessionId,
+// payload, status: 'pending'|'delivered'|'failed'|'cancelled', attempts,
+// nextAttemptAt }. The body is the payload as JSON,
+//   { event, createdAt, data }
+// with the headers
+//   X-Webhook-Event, X-Webhook-Delivery (the delivery id)
+//   X-Webhook-Timestamp  unix seconds
+//   X-Webhook-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`), hex
+// A 2xx answer delivers it. Anything else (or no answer within
+// WEBHOOK_TIMEOUT_MS, default 10 s) is retried after each of the delays in
+// WEBHOOK_RETRY_SECONDS (comma-separated, default 10,60,300,1800,7200), then
+// the delivery fails. Pending deliveries are picked up again after a restart;
+// deleting a webhook cancels its pending deliveries.
+// A replay sends the payload of an earlier delivery again, as a new delivery.
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['session.completed', 'event.flagged', 'upload.completed'];
+const DEFAULT_FLAGGED_TYPES = ['multiple_faces', 'object_detected', 'identity_mismatch'];
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_TEXT = 500;
+
+function webhookConfig(env = process.env) {
+  const delays = String(env.WEBHOOK_RETRY_SECONDS || '').split(',').map(v => Number(v.trim())).filter(v => v > 0);
+  return {
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) > 0 ? Number(env.WEBHOOK_TIMEOUT_MS) : DEFAULT_TIMEOUT_MS,
+    retryDelaysMs: delays.length ? delays.map(v => v * 1000) : RETRY_DELAYS_MS
+  };
+}
+
+// Validate a webhook registration ({ url, events, flaggedTypes, description }).
+// Returns { hook, errors }; the caller adds id, secret and timestamps.
+function normalizeWebhook(input) {
+  const body = input || {};
+  const errors = [];
+  let url = null;
+  try {
+    const parsed = new URL(String(body.url || ''));
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') errors.push('url must be http or https');
+    else url = parsed.toString();
+  } catch (e) {
+    errors.push('url must be an absolute URL');
+  }
+  const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : [];
+  if (!events.length) errors.push(`events must list at least one of ${WEBHOOK_EVENTS.join(', ')}`);
+  for (const ev of events) if (!WEBHOOK_EVENTS.includes(ev)) errors.push(`unknown event ${ev}`);
+  let flaggedTypes = DEFAULT_FLAGGED_TYPES;
+  if (body.flaggedTypes != null) {
+    if (!Array.isArray(body.flaggedTypes) || !body.flaggedTypes.length || body.flaggedTypes.some(t => typeof t !== 'string' || !t)) {
+      errors.push('flaggedTypes must be a non-empty list of event types');
+    } else {
+      flaggedTypes = [...new Set(body.flaggedTypes)];
+    }
+  }
+  const description = String(body.description || '').trim().slice(0, 200);
+  if (errors.length) return { hook: null, errors };
+  return { hook: { url, events, flaggedTypes, description }, errors };
+}
+
+// Webhook as returned by the API: without its secret
+function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return rest;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Does `hook` want `event` with this `data`?
+function wants(hook, event, data) {
+  if (!hook.events.includes(event)) return false;
+  if (event === 'event.flagged') return hook.flaggedTypes.includes(data.event.type);
+  return true;
+}
+
+// `hooks()` returns the registered webhooks (kept by the caller).
+// Options: timeoutMs, retryDelaysMs, fetchImpl (defaults to global fetch).
+function createWebhookDispatcher({ storage, hooks, timeoutMs = DEFAULT_TIMEOUT_MS, retryDelaysMs = RETRY_DELAYS_MS, fetchImpl = fetch }) {
+  const pending = new Map(); // delivery id -> { delivery, timer } until it settles
+
+  function schedule(delivery) {
+    const entry = pending.get(delivery.id) || { delivery, timer: null };
+    clearTimeout(entry.timer);
+    const wait = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    entry.timer = setTimeout(() => {
+      attempt(delivery).catch(err => console.error(`Webhook delivery ${delivery.id} failed:`, err.message));
+    }, wait);
+    entry.timer.unref();
+    pending.set(delivery.id, entry);
+  }
+
+  // One HTTP call; records it and schedules the next try or settles the delivery
+  async function attempt(delivery) {
+    const hook = hooks().find(h => h.id === delivery.webhookId);
+    if (!hook) {
+      pending.delete(delivery.id);
+      delivery.status = 'cancelled';
+      delivery.nextAttemptAt = null;
+      await storage.saveDelivery(delivery);
+      return delivery;
+    }
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), status: null, durationMs: 0, error: null, response: null };
+    try {
+      const resp = await fetchImpl(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'video-proctoring-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(hook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      record.status = resp.status;
+      record.response = (await resp.text().catch(() => '')).slice(0, MAX_RESPONSE_TEXT) || null;
+      if (!resp.ok) record.error = `HTTP ${resp.status}`;
+    } catch (err) {
+      record.error = err.name === 'TimeoutError' ? `no answer within ${timeoutMs} ms` : err.message;
+    }
+    record.durationMs = Date.now() - started;
+    if (!pending.has(delivery.id)) return delivery; // erased while the call was out
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length <= retryDelaysMs.length) {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelaysMs[delivery.attempts.length - 1]).toISOString();
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    }
+    await storage.saveDelivery(delivery);
+    if (delivery.status === 'pending') schedule(delivery);
+    else pending.delete(delivery.id);
+    return delivery;
+  }
+
+  // New delivery of `payload` to `hook`, sent right away
+  async function enqueue(hook, event, payload, { sessionId = null, replayOf = null } = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: hook.id,
+      event,
+      sessionId,
+      ...(replayOf ? { replayOf } : {}),
+      payload,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      attempts: [],
+      nextAttemptAt: new Date().toISOString()
+    };
+    await storage.saveDelivery(delivery);
+    schedule(delivery);
+    return delivery;
+  }
+
+  // Is any webhook subscribed to `event`? Lets callers skip building a payload.
+  function subscribed(event) {
+    return hooks().some(h => h.events.includes(event));
+  }
+
+  // Send `event` to every webhook that wants it. `data.sessionId` ties the
+  // deliveries to a session (so erasure can remove them).
+  async function emit(event, data) {
+    const payload = { event, createdAt: new Date().toISOString(), data };
+    const targets = hooks().filter(h => wants(h, event, data));
+    return Promise.all(targets.map(h => enqueue(h, event, payload, { sessionId: data.sessionId || null })));
+  }
+
+  function ping(hook) {
+    return enqueue(hook, 'ping', { event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: hook.id } });
+  }
+
+  // Send an earlier delivery's payload again, as a new delivery
+  function replay(delivery) {
+    const hook = hooks().find(h => h.id === delivery.webhookId);
+    if (!hook) return null;
+    return enqueue(hook, delivery.event, delivery.payload, { sessionId: delivery.sessionId, replayOf: delivery.id });
+  }
+
+  // Pick up deliveries still pending (after a restart)
+  async function resume() {
+    const due = (await storage.listDeliveries()).filter(d => d.status === 'pending');
+    due.forEach(schedule);
+    return due.length;
+  }
+
+  // Stop sending the deliveries about a session whose data is being erased
+  function forget(sessionId) {
+    for (const [id, entry] of pending) {
+      if (entry.delivery.sessionId !== sessionId) continue;
+      clearTimeout(entry.timer);
+      pending.delete(id);
+    }
+  }
+
+  // Stop sending to a webhook being deleted: its pending deliveries are
+  // recorded as cancelled now rather than on their next try
+  async function cancelWebhook(webhookId) {
+    const cancelled = [];
+    for (const [id, entry] of pending) {
+      if (entry.delivery.webhookId !== webhookId) continue;
+      clearTimeout(entry.timer);
+      pending.delete(id);
+      entry.delivery.status = 'cancelled';
+      entry.delivery.nextAttemptAt = null;
+      cancelled.push(entry.delivery);
+    }
+    await Promise.all(cancelled.map(d => storage.saveDelivery(d)));
+    return cancelled.length;
+  }
+
+  return { subscribed, emit, ping, replay, resume, forget, cancelWebhook };
+}
+
+module.exports = {
+  DEFAULT_FLAGGED_TYPES,
+  RETRY_DELAYS_MS,
+  WEBHOOK_EVENTS,
+  createWebhookDispatcher,
+  normalizeWebhook,
+  publicWebhook,
+  sign,
+  webhookConfig
+};
@@ -1,28 +1,84 @@
 /* public/app.js
    Full client-side proctoring frontend:
-   - Focus detection: looking_away (>5s), no_face (>10s), multiple_faces
+   - Calibration: a few seconds of the candidate looking at the screen before
+     monitoring starts; looking_away is measured against that baseline
+   - Focus detection: looking_away (head pose from BlazeFace landmarks, >5s),
+     no_face (>10s), multiple_faces
+   - Identity: the face is enrolled after calibration, compared with the
+     proctor's reference photo and re-verified periodically (identity_mismatch,
+     similarity measure in face-signature.js)
    - Item detection: COCO-SSD (phones, books, laptop) + paper heuristic
-   - Logs events to UI and /api/log
-   - Records webcam, uploads to /api/upload-video
-   - Generates Proctoring Report (JSON/CSV/PDF) on session end
+     (the rules for both are in detection-core.js; this file feeds frames to
+     the models, draws the boxes and posts what the detector emits)
+   - Inference: the models run in a Web Worker (inference.js) fed with
+     ImageBitmap frames, on the main thread only if the worker cannot start.
+     The detection rate follows the measured inference time, and every
+     TELEMETRY_WINDOW_MS a detection_telemetry event records fps, inference
+     time, dropped frames and the TF backend
+   - Attention: every detected frame feeds a per-second focus signal
+     (attention.js); an attention_sample event per TELEMETRY_WINDOW_MS carries
+     the seconds and a face-position heatmap for the report
+   - Audio: voice-activity analysis (sustained_speech, speech_without_face)
+   - Live channel (SSE): proctor warnings / terminate commands are shown and
+     logged as proctor_warning / proctor_terminate
+   - Browser environment: tab_hidden, window_blur, fullscreen_exit,
+     clipboard_attempt (copy/cut/paste/right-click), page_unload
+   - Joins through a single-use invite link (/?invite=...): the invite is redeemed
+     for a token bound to one server session, sent with every API call
+   - Consent: the server's consent text (/api/consent) is shown before the
+     camera is requested; Start stays disabled until the candidate accepts
+   - Exams: an exam session can start only while the exam window is open (a
+     countdown shows when it opens) and stops itself at its deadline, logging
+     time_limit; the countdown uses the server's clock, not the candidate's
+   - Starts that server session (/api/sessions/:id/start) and tags every event/upload with its id
+   - Logs events to UI and /api/log through a durable outbox (outbox.js):
+     numbered per session, kept in IndexedDB until the server has them and
+     retried with backoff; flagged events carry an evidence snapshot (video
+     frame + overlay boxes) uploaded to /api/sessions/:id/snapshots
+   - Records webcam and streams each recorder slice to the server as it is produced
+     (ordered, retried, resumed after reconnect, assembled by a finalize step);
+     a recorder restarted after a reload uploads a new segment
+   - The server-built Proctoring Report is for proctors only; the locally
+     computed report is offered to the candidate as a preview
    Notes:
-     - Requires index.html to include TF.js, blazeface and coco-ssd scripts before this file:
-       <script src="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.21.0/dist/tf.min.js"></script>
-       <script src="https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.0.7/dist/blazeface.min.js"></script>
-       <script src="https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.2/dist/coco-ssd.min.js"></script>
+     - Requires index.html to include TF.js (with the WASM backend), blazeface, coco-ssd,
+       inference.js and detection-core.js before this file; WORKER_SCRIPTS lists the
+       same libraries for the worker.
+       The libraries and model weights are self-hosted (/vendor/, /models/, see
+       backend/assets.js) and cached by sw.js; models fall back to the public
+       CDN only if the server has no copy.
 */
 
-const BACKEND = 'cpu'; // 'cpu' or 'webgl'
-const FACE_LOOK_AWAY_MS = 5000;
-const NO_FACE_MS = 10000;
-const ITEM_DETECTION_CONFIDENCE = 0.45;
-const ITEM_DEBOUNCE_MS = 5000; // debounce per item type
-
-const ITEM_CLASSES = new Set([
-  'cell phone', 'cellphone', 'phone',
-  'laptop', 'book', 'remote',
-  'keyboard', 'mouse', 'tv', 'monitor'
-]);
+// Proctoring configuration. These are fallbacks only: the exam profile the
+// proctor picked is stamped into the invited session, and that is the one the
+// detection loop runs with.
+let config = {
+  profileId: 'default',
+  backend: 'auto', // 'auto' (WebGL, then WASM, then CPU), 'webgl', 'wasm' or 'cpu'
+  maxDetectionFps: 15,
+  minDetectionFps: 2,
+  faceLookAwayMs: 5000,
+  maxYawDeg: 30,
+  maxPitchDeg: 25,
+  noFaceMs: 10000,
+  itemDetectionConfidence: 0.45,
+  itemDebounceMs: 5000, // debounce per item type
+  itemClasses: new Set([
+    'cell phone', 'cellphone', 'phone',
+    'laptop', 'book', 'remote',
+    'keyboard', 'mouse', 'tv', 'monitor'
+  ]),
+  detectPaper: true,
+  audioMonitoring: true,
+  expectSilence: false,
+  speechThresholdDb: 15,
+  speechSustainMs: 3000,
+  requireFullscreen: false,
+  blockClipboard: true,
+  identityCheck: true,
+  identityCheckMs: 30000,
+  identityMatchThreshold: 0.55
+};
 
 // UI elements
 const video = document.getElementById('video');
@@ -35,16 +91,47 @@ const stopBtn = document.getElementById('stopBtn');
 const status = document.getElementById('status');
 const eventsList = document.getElementById('events');
 const candidateNameInput = document.getElementById('candidateName');
+const fullscreenBtn = document.getElementById('fullscreenBtn');
+const proctorMessage = document.getElementById('proctorMessage');
+const consentPanel = document.getElementById('consent');
+const consentText = document.getElementById('consentText');
+const consentRetention = document.getElementById('consentRetention');
+const consentAcceptBtn = document.getElementById('consentAcceptBtn');
+const consentDeclineBtn = document.getElementById('consentDeclineBtn');
+const countdown = document.getElementById('countdown');
+
+// Invite / auth: the redeemed token is kept in sessionStorage so a reload can resume
+const TOKEN_STORAGE_KEY = 'proctoringInvite';
+let invite = {
+  token: null,     // bearer token bound to one session
+  session: null,   // the invited server session (id, candidateName, profile, status)
+  exam: null,      // the session's exam (window, max duration), null outside an exam
+  clockOffset: 0   // server clock minus this clock, in ms
+};
+let examTimer = null;
 
 // Models & media
-let faceModel = null;
-let objModel = null;
+// Models run in the worker when it starts, else on this thread (window.Inference)
+let inference = { worker: null, backend: null, requested: null, face: false, objects: false, calls: new Map(), nextId: 1 };
 let stream = null;
 let recorder = null;
-let recordedChunks = [];
+
+// Streaming upload state: slices wait in `queue` until the server has them
+let uploader = {
+  sessionId: null,
+  mimeType: 'video/webm',
+  segment: null, // this recorder run: when it started (ms since the epoch)
+  nextIndex: 0,  // index given to the next recorder slice
+  queue: [],     // [{ index, blob }] not yet acknowledged by the server
+  sending: false,
+  retryMs: 1000
+};
+const UPLOAD_RETRY_MAX_MS = 30000;
+const UPLOAD_DRAIN_TIMEOUT_MS = 120000;
 
 // State / session
 let session = {
+  id: null, // server-issued session id
   name: '',
   startedAt: null,
   endedAt: null,
@@ -52,14 +139,67 @@ let session = {
   lookingAwayCount: 0,
   noFaceCount: 0,
   multipleFacesCount: 0,
-  objectDetectedCount: 0
+  objectDetectedCount: 0,
+  sustainedSpeechCount: 0,
+  speechWithoutFaceCount: 0,
+  tabHiddenCount: 0,
+  windowBlurCount: 0,
+  fullscreenExitCount: 0,
+  clipboardAttemptCount: 0,
+  identityMismatchCount: 0,
+  calibration: null, // computeBaseline result, also stored with the server session
+  serverIdentity: null, // session.identity as returned by /start (reference photo, enrollment)
+  enrollmentSignature: null // set when resuming a session that was already enrolled
 };
 
 let eventHistory = []; // recent events for report
-let lastItemLogAt = {}; // debounce per item reason
+let attentionSamples = []; // attention_sample details, for the preview report
+
+// Evidence snapshots for flagged events (at most one per type per interval)
+const SNAPSHOT_TYPES = new Set(['object_detected', 'multiple_faces', 'identity_mismatch']);
+const SNAPSHOT_MIN_INTERVAL_MS = 3000;
+let lastSnapshotAt = {};
+
+// Detection rules live in detection-core.js; a fresh detector is created per session
+let detector = DetectionCore.createDetector(detectorSettings());
 
-let noFaceSince = null;
-let lookingAwaySince = null;
+// ?trace=1 records every frame fed to the detector, downloadable after Stop as
+// a .jsonl trace for backend/tools/replay-detections.js
+const TRACE_MAX_FRAMES = 20000;
+const traceEnabled = new URLSearchParams(location.search).has('trace');
+let traceFrames = [];
+
+function detectorSettings() {
+  return { ...config, itemClasses: [...config.itemClasses] };
+}
+
+function recordTraceFrame(frame) {
+  if (!traceEnabled || traceFrames.length >= TRACE_MAX_FRAMES) return;
+  const faces = frame.faces.map(f => {
+    const b = DetectionCore.normalizeFaceBox(f);
+    if (!b) return null;
+    const landmarks = DetectionCore.faceLandmarks(f);
+    return landmarks ? { box: [b.x, b.y, b.w, b.h], landmarks } : { box: [b.x, b.y, b.w, b.h] };
+  }).filter(Boolean);
+  const entry = { t: frame.t, width: frame.width, height: frame.height, faces };
+  if (frame.objects) {
+    entry.objects = frame.objects.map(o => ({
+      class: o.class, score: o.score, bbox: o.bbox,
+      paper: config.detectPaper ? detectPaperHeuristic(...o.bbox) : false
+    }));
+  }
+  traceFrames.push(entry);
+}
+
+function downloadTrace() {
+  const lines = [JSON.stringify({ kind: 'config', settings: detectorSettings(), baseline: detector.baseline })]
+    .concat(traceFrames.map(f => JSON.stringify(f)));
+  const blob = new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `detection_trace_${session.id || 'local'}.jsonl`;
+  document.body.appendChild(a); a.click(); a.remove();
+}
 
 // UI status helper
 function uiStatus(msg) {
@@ -67,9 +207,93 @@ function uiStatus(msg) {
   console.log('[STATUS]', msg);
 }
 
+// fetch() with the candidate token attached
+function apiFetch(url, opts = {}) {
+  const headers = { ...(opts.headers || {}) };
+  if (invite.token) headers.Authorization = `Bearer ${invite.token}`;
+  return fetch(url, { ...opts, headers });
+}
+
+// EventSource and sendBeacon cannot set headers; pass the token in the query
+function withToken(url) {
+  if (!invite.token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(invite.token)}`;
+}
+
+// Composite the current video frame and the detection overlay. The pixels are
+// copied synchronously, so the frame matches the moment the event fired.
+function captureFrame() {
+  const c = document.createElement('canvas');
+  c.width = overlay.width; c.height = overlay.height;
+  const cctx = c.getContext('2d');
+  cctx.drawImage(video, 0, 0, c.width, c.height);
+  cctx.drawImage(overlay, 0, 0);
+  return new Promise(resolve => c.toBlob(resolve, 'image/jpeg', 0.7));
+}
+
+async function uploadSnapshot(blob) {
+  if (!blob || !session.id) return null;
+  try {
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}/snapshots`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: blob
+    });
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const { id, path } = await resp.json();
+    return { id, path };
+  } catch (e) {
+    console.warn('snapshot upload failed', e);
+    return null;
+  }
+}
+
+// Deliver one outbox entry: 'sent', or 'rejected' when the server refuses it
+// for good; network errors, 5xx, 408 and 429 throw so the outbox retries.
+// The snapshot goes first and is saved on the entry, so a retry does not
+// upload it twice.
+async function sendEvent(entry, save) {
+  const transient = (status) => status >= 500 || status === 408 || status === 429;
+  const { snapshotBlob, ...body } = entry;
+  if (snapshotBlob) {
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(entry.sessionId)}/snapshots`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: snapshotBlob
+    });
+    if (transient(resp.status)) throw new Error(`snapshot upload: status ${resp.status}`);
+    if (resp.ok) {
+      const { id, path } = await resp.json();
+      body.snapshot = { id, path };
+    } else {
+      console.warn('snapshot rejected', resp.status);
+    }
+    Object.assign(entry, body);
+    delete entry.snapshotBlob;
+    await save(entry);
+  }
+  const resp = await apiFetch('/api/log', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (transient(resp.status)) throw new Error(`status ${resp.status}`);
+  if (!resp.ok) return 'rejected';
+  return 'sent';
+}
+
+const outbox = createOutbox({ send: sendEvent });
+
 // Logging utility (UI + backend)
 async function postLog(type, detail = {}) {
-  const entry = { timestamp: new Date().toISOString(), type, detail };
+  const entry = { sessionId: session.id, timestamp: new Date().toISOString(), type, detail };
+  // episode updates and closes (detection-core.js) continue an incident already counted
+  const startsIncident = !detail.phase || detail.phase === 'open';
+  let frame = null;
+  if (startsIncident && SNAPSHOT_TYPES.has(type) && Date.now() - (lastSnapshotAt[type] || 0) >= SNAPSHOT_MIN_INTERVAL_MS) {
+    lastSnapshotAt[type] = Date.now();
+    frame = captureFrame();
+  }
   // UI
   const li = document.createElement('li');
   li.textContent = `[${entry.timestamp}] ${type} — ${JSON.stringify(detail)}`;
@@ -77,31 +301,599 @@ async function postLog(type, detail = {}) {
   // in-memory history (for report)
   eventHistory.unshift(entry);
 
-  // counters
-  if (type === 'looking_away') session.lookingAwayCount++;
-  if (type === 'no_face') session.noFaceCount++;
-  if (type === 'multiple_faces') session.multipleFacesCount++;
+  // counters (one per incident)
+  if (startsIncident && type === 'looking_away') session.lookingAwayCount++;
+  if (startsIncident && type === 'no_face') session.noFaceCount++;
+  if (startsIncident && type === 'multiple_faces') session.multipleFacesCount++;
   if (type === 'object_detected') session.objectDetectedCount++;
+  if (type === 'sustained_speech') session.sustainedSpeechCount++;
+  if (type === 'speech_without_face') session.speechWithoutFaceCount++;
+  if (type === 'tab_hidden') session.tabHiddenCount++;
+  if (type === 'window_blur') session.windowBlurCount++;
+  if (type === 'fullscreen_exit') session.fullscreenExitCount++;
+  if (type === 'clipboard_attempt') session.clipboardAttemptCount++;
+  if (type === 'identity_mismatch') session.identityMismatchCount++;
+
+  // stored before it is sent; the snapshot travels with it until delivered
+  const snapshotBlob = frame ? await frame : null;
+  try {
+    await outbox.add(snapshotBlob ? { ...entry, snapshotBlob } : { ...entry });
+  } catch (e) {
+    console.warn('postLog: outbox write failed', e);
+  }
+}
+
+// ====== Audio monitoring (voice activity) ======
+// Speech-band (300-3400 Hz) level is compared against a noise floor that
+// adapts while nobody is speaking. A short hangover bridges pauses between words.
+const AUDIO_TICK_MS = 100;
+const SPEECH_HANGOVER_MS = 600;
+const SPEECH_NO_FACE_MIN_MS = 1000; // both speech and face absence must last this long
+let audioCtx = null;
+let analyser = null;
+let audioTimer = null;
+let vad = null;
+
+function resetVad() {
+  vad = { noiseDb: -70, speechSince: null, lastVoiceAt: 0, peakDb: -Infinity, sustainedLogged: false, noFaceLogged: false };
+}
+
+function speechBandDb() {
+  const bins = new Float32Array(analyser.frequencyBinCount);
+  analyser.getFloatFrequencyData(bins);
+  const hzPerBin = audioCtx.sampleRate / analyser.fftSize;
+  const lo = Math.floor(300 / hzPerBin), hi = Math.min(bins.length - 1, Math.ceil(3400 / hzPerBin));
+  let power = 0;
+  for (let i = lo; i <= hi; i++) power += Math.pow(10, bins[i] / 10);
+  return 10 * Math.log10(power / (hi - lo + 1) || 1e-12);
+}
+
+async function audioTick() {
+  if (!analyser) return;
+  const now = Date.now();
+  const db = speechBandDb();
+  const voiced = db > vad.noiseDb + config.speechThresholdDb;
+  if (voiced) {
+    if (!vad.speechSince) vad.speechSince = now;
+    vad.lastVoiceAt = now;
+    vad.peakDb = Math.max(vad.peakDb, db);
+  } else {
+    vad.noiseDb = Math.max(-100, vad.noiseDb * 0.95 + db * 0.05);
+  }
+
+  if (vad.speechSince && now - vad.lastVoiceAt > SPEECH_HANGOVER_MS) {
+    vad.speechSince = null; vad.peakDb = -Infinity;
+    vad.sustainedLogged = false; vad.noFaceLogged = false;
+    return;
+  }
+  if (!vad.speechSince) return;
+
+  const speechMs = now - vad.speechSince;
+  const detail = { duration_ms: speechMs, peak_db: Math.round(vad.peakDb), noise_db: Math.round(vad.noiseDb) };
+  if (config.expectSilence && !vad.sustainedLogged && speechMs > config.speechSustainMs) {
+    vad.sustainedLogged = true;
+    await postLog('sustained_speech', detail);
+  }
+  const noFaceSince = detector.state.noFaceSince;
+  if (!vad.noFaceLogged && noFaceSince && now - noFaceSince > SPEECH_NO_FACE_MIN_MS && speechMs > SPEECH_NO_FACE_MIN_MS) {
+    vad.noFaceLogged = true;
+    await postLog('speech_without_face', { ...detail, no_face_ms: now - noFaceSince });
+  }
+}
+
+function startAudioMonitor(mediaStream) {
+  if (!config.audioMonitoring || !mediaStream.getAudioTracks().length) return;
+  try {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.5;
+    audioCtx.createMediaStreamSource(mediaStream).connect(analyser);
+    resetVad();
+    audioTimer = setInterval(() => { audioTick().catch(e => console.warn('audioTick failed', e)); }, AUDIO_TICK_MS);
+  } catch (e) {
+    console.warn('audio monitor unavailable', e);
+    stopAudioMonitor();
+  }
+}
+
+function stopAudioMonitor() {
+  if (audioTimer) clearInterval(audioTimer);
+  audioTimer = null; analyser = null;
+  if (audioCtx) audioCtx.close().catch(() => {});
+  audioCtx = null;
+}
+
+// ====== Browser environment monitoring ======
+// Periods (hidden tab, lost focus, outside fullscreen) are logged when they end,
+// with their duration; any still open at stop are flushed with `ongoing: true`.
+let envState = { hiddenSince: null, blurSince: null, blurOverlapsHidden: false, fullscreenExitSince: null };
+
+function sessionActive() {
+  return !!session.id && !session.endedAt;
+}
+
+function onVisibilityChange() {
+  if (!sessionActive()) return;
+  if (document.hidden) {
+    envState.hiddenSince = Date.now();
+    if (envState.blurSince) envState.blurOverlapsHidden = true;
+  } else if (envState.hiddenSince) {
+    const duration = Date.now() - envState.hiddenSince;
+    envState.hiddenSince = null;
+    postLog('tab_hidden', { duration_ms: duration });
+  }
+}
+
+function onWindowBlur() {
+  if (!sessionActive()) return;
+  envState.blurSince = Date.now();
+  envState.blurOverlapsHidden = document.hidden;
+}
+
+// Switching tabs also blurs the window; that period is already a tab_hidden
+function onWindowFocus() {
+  if (!envState.blurSince) return;
+  const duration = Date.now() - envState.blurSince;
+  const overlapped = envState.blurOverlapsHidden || document.hidden;
+  envState.blurSince = null; envState.blurOverlapsHidden = false;
+  if (sessionActive() && !overlapped) postLog('window_blur', { duration_ms: duration });
+}
+
+async function enterFullscreen() {
+  try {
+    if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+      await document.documentElement.requestFullscreen();
+    }
+  } catch (e) {
+    console.warn('fullscreen request failed', e);
+  }
+}
+
+function onFullscreenChange() {
+  if (!sessionActive() || !config.requireFullscreen) return;
+  if (!document.fullscreenElement) {
+    envState.fullscreenExitSince = Date.now();
+    if (fullscreenBtn) fullscreenBtn.hidden = false;
+    uiStatus('Fullscreen is required for this exam — please return to fullscreen');
+  } else if (envState.fullscreenExitSince) {
+    const duration = Date.now() - envState.fullscreenExitSince;
+    envState.fullscreenExitSince = null;
+    if (fullscreenBtn) fullscreenBtn.hidden = true;
+    uiStatus('Session running');
+    postLog('fullscreen_exit', { duration_ms: duration });
+  }
+}
+
+function onClipboardAttempt(e) {
+  if (!sessionActive()) return;
+  if (config.blockClipboard) e.preventDefault();
+  postLog('clipboard_attempt', { action: e.type, blocked: config.blockClipboard });
+}
+
+// Warn before leaving; if the page goes anyway, a beacon still records it.
+// The outbox keeps a copy in case the beacon is lost; the server drops
+// whichever arrives second.
+function onBeforeUnload(e) {
+  if (!sessionActive()) return;
+  e.preventDefault();
+  e.returnValue = '';
+}
+
+function onPageHide(e) {
+  if (!sessionActive()) return;
+  const entry = {
+    sessionId: session.id,
+    timestamp: new Date().toISOString(),
+    type: 'page_unload',
+    detail: { persisted: !!e.persisted, hidden_ms: envState.hiddenSince ? Date.now() - envState.hiddenSince : 0 }
+  };
+  outbox.add(entry).catch(err => console.warn('page_unload: outbox write failed', err));
+  navigator.sendBeacon(withToken('/api/log'), new Blob([JSON.stringify(entry)], { type: 'application/json' }));
+}
+
+async function flushEnvironment() {
+  const now = Date.now();
+  const open = [
+    ['tab_hidden', 'hiddenSince'],
+    ['window_blur', 'blurSince'],
+    ['fullscreen_exit', 'fullscreenExitSince']
+  ];
+  for (const [type, key] of open) {
+    if (envState[key]) {
+      const duration = now - envState[key];
+      envState[key] = null;
+      await postLog(type, { duration_ms: duration, ongoing: true });
+    }
+  }
+  envState.blurOverlapsHidden = false;
+  if (fullscreenBtn) fullscreenBtn.hidden = true;
+  if (document.fullscreenElement && document.exitFullscreen) document.exitFullscreen().catch(() => {});
+}
+
+// ====== Live proctor channel ======
+let proctorChannel = null;
+
+function openProctorChannel(id) {
+  closeProctorChannel();
+  proctorChannel = new EventSource(withToken(`/api/sessions/${encodeURIComponent(id)}/channel`));
+  proctorChannel.addEventListener('command', (e) => {
+    let cmd = null;
+    try { cmd = JSON.parse(e.data); } catch (err) { console.warn('bad proctor command', e.data); return; }
+    handleProctorCommand(cmd).catch(err => console.warn('proctor command failed', err));
+  });
+  proctorChannel.onerror = () => console.warn('proctor channel error (browser will reconnect)');
+}
+
+function closeProctorChannel() {
+  if (proctorChannel) proctorChannel.close();
+  proctorChannel = null;
+}
+
+function showProctorMessage(text) {
+  if (!proctorMessage) { alert(text); return; }
+  proctorMessage.textContent = `Proctor: ${text} (click to dismiss)`;
+  proctorMessage.hidden = false;
+}
+
+async function handleProctorCommand(cmd) {
+  if (!sessionActive()) return;
+  if (cmd.type === 'warning') {
+    showProctorMessage(cmd.message);
+    await postLog('proctor_warning', { message: cmd.message, command_id: cmd.id });
+  } else if (cmd.type === 'terminate') {
+    showProctorMessage(cmd.message);
+    await postLog('proctor_terminate', { message: cmd.message, command_id: cmd.id });
+    await stopSession();
+  }
+}
+
+// ====== Streaming video upload ======
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// One recorder run is one segment, identified by the time it started: a
+// recorder restarted after a reload writes a new WebM stream (with its own
+// header), which the server keeps apart from the earlier run's slices
+function resetUploader(sessionId, mimeType, segment) {
+  uploader = { sessionId, mimeType, segment, nextIndex: 0, queue: [], sending: false, retryMs: 1000 };
+}
+
+function enqueueChunk(blob) {
+  uploader.queue.push({ index: uploader.nextIndex++, blob });
+  pumpUploads();
+}
+
+// Send queued slices in order; transient failures back off exponentially,
+// and going offline parks the queue until the 'online' event resumes it.
+async function pumpUploads() {
+  if (uploader.sending || !uploader.sessionId) return;
+  uploader.sending = true;
+  const base = `/api/sessions/${encodeURIComponent(uploader.sessionId)}/video/segments/${uploader.segment}/chunks`;
+  try {
+    while (uploader.queue.length) {
+      const { index, blob } = uploader.queue[0];
+      let resp = null;
+      try {
+        resp = await apiFetch(`${base}/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: blob
+        });
+      } catch (e) {
+        console.warn('chunk upload failed', index, e);
+      }
+      if (resp && resp.ok) {
+        uploader.queue.shift();
+        uploader.retryMs = 1000;
+        continue;
+      }
+      if (resp && resp.status >= 400 && resp.status < 500 && resp.status !== 408 && resp.status !== 429) {
+        console.warn('chunk rejected, dropping', index, resp.status);
+        uploader.queue.shift();
+        continue;
+      }
+      if (!navigator.onLine) break;
+      await sleep(uploader.retryMs);
+      uploader.retryMs = Math.min(UPLOAD_RETRY_MAX_MS, uploader.retryMs * 2);
+    }
+  } finally {
+    uploader.sending = false;
+  }
+}
 
-  // send to backend (best-effort)
+// After a reconnect, skip slices the server already acknowledged (a response
+// may have been lost in flight) and carry on with the rest.
+async function resumeUploads() {
+  if (!uploader.sessionId || !uploader.queue.length) return;
   try {
-    await fetch('/api/log', {
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(uploader.sessionId)}/video/chunks`);
+    if (resp.ok) {
+      const { segments } = await resp.json();
+      const mine = segments.find(s => s.segment === uploader.segment);
+      const have = new Set(mine ? mine.received : []);
+      uploader.queue = uploader.queue.filter(c => !have.has(c.index));
+    }
+  } catch (e) {
+    console.warn('resumeUploads: chunk listing failed', e);
+  }
+  uploader.retryMs = 1000;
+  pumpUploads();
+}
+
+async function drainUploads(timeoutMs) {
+  const start = Date.now();
+  while (uploader.queue.length && (Date.now() - start) < timeoutMs) {
+    uiStatus(`Uploading video... ${uploader.queue.length} chunk(s) pending`);
+    pumpUploads();
+    await sleep(500);
+  }
+  return uploader.queue.length === 0;
+}
+
+async function finalizeUpload() {
+  const drained = await drainUploads(UPLOAD_DRAIN_TIMEOUT_MS);
+  if (!drained) {
+    console.warn(`Video upload incomplete: ${uploader.queue.length} chunk(s) still pending`);
+    return false;
+  }
+  if (!uploader.sessionId) return false;
+  // earlier segments (before a reload) are assembled too, even if this run
+  // produced nothing
+  const current = uploader.nextIndex ? { segment: uploader.segment, totalChunks: uploader.nextIndex } : {};
+  try {
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(uploader.sessionId)}/video/finalize`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(entry)
+      body: JSON.stringify({ ...current, mimeType: uploader.mimeType })
     });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('Video finalize non-OK', resp.status, body);
+      return false;
+    }
+    console.log('Video uploaded', body.path);
+    return true;
   } catch (e) {
-    console.warn('postLog: failed to send to /api/log', e);
+    console.warn('Video finalize failed', e);
+    return false;
+  }
+}
+
+// ====== Event outbox ======
+const OUTBOX_DRAIN_TIMEOUT_MS = 15000;
+
+// Wait (up to timeoutMs) for the session's queued events to reach the server;
+// returns how many are still pending
+async function drainOutbox(sessionId, timeoutMs) {
+  const start = Date.now();
+  let pending = await outbox.pending(sessionId);
+  while (pending && (Date.now() - start) < timeoutMs) {
+    uiStatus(`Sending events... ${pending} pending`);
+    await Promise.race([outbox.flush(), sleep(1000)]);
+    pending = await outbox.pending(sessionId);
   }
+  return pending;
 }
 
-// Integrity scoring
+// Exam profiles
+function applyProfile(profile) {
+  const st = profile.settings || {};
+  config = {
+    profileId: profile.id,
+    backend: st.backend || config.backend,
+    maxDetectionFps: st.maxDetectionFps != null ? st.maxDetectionFps : 15,
+    minDetectionFps: st.minDetectionFps != null ? st.minDetectionFps : 2,
+    faceLookAwayMs: st.faceLookAwayMs,
+    maxYawDeg: st.maxYawDeg,
+    maxPitchDeg: st.maxPitchDeg,
+    noFaceMs: st.noFaceMs,
+    itemDetectionConfidence: st.itemDetectionConfidence,
+    itemDebounceMs: st.itemDebounceMs,
+    itemClasses: new Set(st.itemClasses || []),
+    detectPaper: !!st.detectPaper,
+    audioMonitoring: st.audioMonitoring !== false,
+    expectSilence: !!st.expectSilence,
+    speechThresholdDb: st.speechThresholdDb != null ? st.speechThresholdDb : 15,
+    speechSustainMs: st.speechSustainMs != null ? st.speechSustainMs : 3000,
+    requireFullscreen: !!st.requireFullscreen,
+    blockClipboard: st.blockClipboard !== false,
+    identityCheck: st.identityCheck !== false,
+    identityCheckMs: st.identityCheckMs != null ? st.identityCheckMs : 30000,
+    identityMatchThreshold: st.identityMatchThreshold != null ? st.identityMatchThreshold : 0.55
+  };
+  console.log('Applied exam profile', profile.id, profile.version, config);
+}
+
+// Redeem the ?invite= token once; later reloads reuse the stored token
+async function loadInvite() {
+  const code = new URLSearchParams(location.search).get('invite');
+  if (!code) {
+    uiStatus('Open the invite link you were sent to join a session');
+    return false;
+  }
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(TOKEN_STORAGE_KEY) || 'null');
+    if (saved && saved.invite === code && new Date(saved.expiresAt) > new Date()) {
+      invite = { token: saved.token, session: saved.session, exam: saved.exam || null, clockOffset: saved.clockOffset || 0 };
+    } else {
+      const resp = await fetch('/api/invites/redeem', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ invite: code })
+      });
+      const body = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(body.error || `status ${resp.status}`);
+      const clockOffset = body.exam ? new Date(body.exam.serverTime).getTime() - Date.now() : 0;
+      invite = { token: body.token, session: body.session, exam: body.exam || null, clockOffset };
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({
+        invite: code, token: body.token, expiresAt: body.expiresAt, session: body.session, exam: invite.exam, clockOffset
+      }));
+    }
+  } catch (e) {
+    console.warn('invite redeem failed', e);
+    uiStatus(`Invite not accepted: ${e.message}`);
+    return false;
+  }
+  candidateNameInput.value = invite.session.candidateName;
+  candidateNameInput.readOnly = true;
+  if (invite.session.profile) applyProfile(invite.session.profile);
+  return true;
+}
+
+// Consent before the camera: show the server's current text and enable Start
+// once it is accepted. A session that already has consent (reload, resume)
+// goes straight to Start.
+async function requestConsent() {
+  if (invite.session.consent) { updateStartGate(); return; }
+  let current;
+  try {
+    const resp = await fetch('/api/consent');
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    current = await resp.json();
+  } catch (e) {
+    console.warn('consent text failed to load', e);
+    uiStatus(`Could not load the consent notice (${e.message}); reload the page`);
+    return;
+  }
+  const days = current.retentionDays || {};
+  const kept = (n) => (n ? `${n} days` : 'until deleted on request');
+  consentText.textContent = current.text;
+  consentRetention.textContent = `Retention: recording ${kept(days.video)}, images ${kept(days.snapshots)}, event log ${kept(days.events)}.`;
+  consentPanel.hidden = false;
+  consentAcceptBtn.onclick = async () => {
+    consentAcceptBtn.disabled = true;
+    try {
+      const resp = await apiFetch(`/api/sessions/${encodeURIComponent(invite.session.id)}/consent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: current.version, textHash: current.textHash })
+      });
+      const body = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(body.error || `status ${resp.status}`);
+      invite.session.consent = body;
+      const saved = JSON.parse(sessionStorage.getItem(TOKEN_STORAGE_KEY) || 'null');
+      if (saved) sessionStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({ ...saved, session: invite.session }));
+      consentPanel.hidden = true;
+      updateStartGate();
+      uiStatus('Consent recorded — you can start the session');
+    } catch (e) {
+      console.warn('consent failed', e);
+      uiStatus(`Consent not recorded: ${e.message}`);
+    } finally {
+      consentAcceptBtn.disabled = false;
+    }
+  };
+  consentDeclineBtn.onclick = () => {
+    uiStatus('Without consent the session cannot start. Contact the organisation that invited you.');
+  };
+}
+
+// ====== Exam window and time limit ======
+function serverNow() {
+  return Date.now() + invite.clockOffset;
+}
+
+function fmtCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const mm = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const ss = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+// Before the session: Start is enabled once consent is given and, for an
+// exam, while its window is open. Re-checked every second until the window closes.
+function updateStartGate() {
+  clearTimeout(examTimer);
+  if (session.id) return;
+  const exam = invite.exam;
+  let open = true;
+  if (exam) {
+    const now = serverNow();
+    const opens = new Date(exam.startsAt).getTime();
+    const closes = new Date(exam.endsAt).getTime();
+    open = now >= opens && now < closes;
+    countdown.hidden = false;
+    if (now < opens) countdown.textContent = `${exam.title}: opens in ${fmtCountdown(opens - now)}`;
+    else if (open) countdown.textContent = `${exam.title}: open, closes in ${fmtCountdown(closes - now)} (time limit ${Math.round(exam.maxDurationMs / 60000)} min)`;
+    else countdown.textContent = `${exam.title}: the exam window has closed`;
+    if (now < closes) examTimer = setTimeout(updateStartGate, 1000);
+  }
+  startBtn.disabled = !(invite.session && invite.session.consent && open);
+}
+
+// During the session: time left until the server's deadline, then stop
+function startDeadlineClock(deadline) {
+  clearTimeout(examTimer);
+  if (!deadline) return;
+  const at = new Date(deadline).getTime();
+  const tick = async () => {
+    if (session.endedAt || session.stopping) return;
+    const left = at - serverNow();
+    countdown.hidden = false;
+    countdown.textContent = `Time left: ${fmtCountdown(left)}`;
+    if (left > 0) { examTimer = setTimeout(tick, 1000); return; }
+    uiStatus('Time limit reached — stopping the session');
+    await postLog('time_limit', { deadline });
+    await stopSession();
+  };
+  tick();
+}
+
+// Switch to the profile's backend if the models were loaded under another preference
+async function applyBackend(name) {
+  if (!inference.requested || inference.requested === name) return;
+  try {
+    inference.backend = inference.worker
+      ? (await callWorker({ type: 'backend', backend: name })).backend
+      : await Inference.selectBackend(name);
+    inference.requested = name;
+    console.log('TF backend set to', inference.backend);
+  } catch (e) {
+    console.warn('failed to set backend', name, e);
+  }
+}
+
+// Session lifecycle on the backend (the session itself is created by the proctor's invite)
+async function startServerSession(id) {
+  const resp = await apiFetch(`/api/sessions/${encodeURIComponent(id)}/start`, { method: 'POST' });
+  const body = await resp.json().catch(() => ({}));
+  if (body.exam) {
+    invite.exam = body.exam;
+    invite.clockOffset = new Date(body.exam.serverTime).getTime() - Date.now();
+  }
+  if (!resp.ok) throw new Error(`session start failed: ${body.error || resp.status}`);
+  return body;
+}
+
+// lastSeq lets the server tell events still missing at the end from none sent
+async function closeServerSession(id, lastSeq) {
+  try {
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(id)}/close`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lastSeq })
+    });
+    if (!resp.ok) console.warn('session close non-OK', resp.status);
+  } catch (e) {
+    console.warn('session close failed', e);
+  }
+}
+
+// Integrity scoring (local preview; the server computes the score of record)
 function computeIntegrityScore(s) {
   const deductions =
     (s.lookingAwayCount * 6) +
     (s.noFaceCount * 12) +
     (s.multipleFacesCount * 20) +
-    (s.objectDetectedCount * 3);
+    (s.objectDetectedCount * 3) +
+    (s.sustainedSpeechCount * 4) +
+    (s.speechWithoutFaceCount * 10) +
+    (s.tabHiddenCount * 8) +
+    (s.windowBlurCount * 4) +
+    (s.fullscreenExitCount * 6) +
+    (s.clipboardAttemptCount * 3) +
+    (s.identityMismatchCount * 25);
   return Math.max(0, 100 - deductions);
 }
 
@@ -148,7 +940,8 @@ async function ensureJsPdf() {
   }
   return new Promise((resolve, reject) => {
     const s = document.createElement('script');
-    s.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
+    s.src = '/vendor/jspdf@2.5.1/jspdf.umd.min.js';
+    s.integrity = 'sha384-JcnsjUPPylna1s1fvi1u12X5qjY5OL56iySh75FdtrwhO/SWXgMjoVqcKyIIWOLk';
     s.onload = () => {
       const js = window.jspdf && (window.jspdf.jsPDF || (window.jspdf.default && window.jspdf.default.jsPDF));
       if (js) resolve(js);
@@ -159,7 +952,7 @@ async function ensureJsPdf() {
   });
 }
 
-// Build report object
+// Build preview report object from client-side state
 function buildReport() {
   const integrityScore = computeIntegrityScore(session);
   return {
@@ -172,6 +965,15 @@ function buildReport() {
     noFaceCount: session.noFaceCount,
     multipleFacesCount: session.multipleFacesCount,
     objectDetectedCount: session.objectDetectedCount,
+    sustainedSpeechCount: session.sustainedSpeechCount,
+    speechWithoutFaceCount: session.speechWithoutFaceCount,
+    tabHiddenCount: session.tabHiddenCount,
+    windowBlurCount: session.windowBlurCount,
+    fullscreenExitCount: session.fullscreenExitCount,
+    clipboardAttemptCount: session.clipboardAttemptCount,
+    identityMismatchCount: session.identityMismatchCount,
+    calibration: session.calibration,
+    attention: Attention.summarize(attentionSamples, session.startedAt),
     integrityScore,
     events: eventHistory.slice(0, 1000)
   };
@@ -184,7 +986,7 @@ function downloadJSON(report) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `${(report.candidateName || 'candidate').replace(/\s+/g, '_')}_proctoring_report.json`;
+  a.download = `${(report.candidateName || 'candidate').replace(/\s+/g, '_')}_proctoring_report_preview.json`;
   document.body.appendChild(a);
   a.click();
   a.remove();
@@ -202,6 +1004,12 @@ function downloadCSV(report) {
   rows.push(['No Face Count', report.noFaceCount]);
   rows.push(['Multiple Faces Count', report.multipleFacesCount]);
   rows.push(['Object Detected Count', report.objectDetectedCount]);
+  rows.push(['Sustained Speech Count', report.sustainedSpeechCount]);
+  rows.push(['Speech Without Face Count', report.speechWithoutFaceCount]);
+  rows.push(['Tab Hidden Count', report.tabHiddenCount]);
+  rows.push(['Window Blur Count', report.windowBlurCount]);
+  rows.push(['Fullscreen Exit Count', report.fullscreenExitCount]);
+  rows.push(['Clipboard Attempt Count', report.clipboardAttemptCount]);
   rows.push(['Integrity Score', report.integrityScore]);
   rows.push([]);
   rows.push(['Event Timestamp', 'Type', 'Detail JSON']);
@@ -219,7 +1027,7 @@ function downloadCSV(report) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `${(report.candidateName || 'candidate').replace(/\s+/g, '_')}_proctoring_report.csv`;
+  a.download = `${(report.candidateName || 'candidate').replace(/\s+/g, '_')}_proctoring_report_preview.csv`;
   document.body.appendChild(a);
   a.click();
   a.remove();
@@ -233,20 +1041,29 @@ async function downloadPDF(report) {
     let y = 40;
     const margin = 40;
     doc.setFontSize(18);
-    doc.text('Proctoring Report', margin, y);
+    doc.text('Proctoring Report (preview)', margin, y);
     doc.setFontSize(11);
     y += 26;
     doc.text(`Candidate: ${report.candidateName}`, margin, y); y += 14;
     doc.text(`Started: ${report.startedAt}`, margin, y); y += 12;
     doc.text(`Ended: ${report.endedAt}`, margin, y); y += 12;
-    doc.text(`Duration: ${report.durationHuman} (${report.durationMs} ms)`, margin, y); y += 14;
+    doc.text(`Duration: ${report.durationHuman} (${report.durationMs} ms)`, margin, y); y += 12;
+    doc.text(`Calibration: ${calibrationText(report.calibration)}`, margin, y); y += 14;
     doc.text(`Looking-away events: ${report.lookingAwayCount}`, margin, y); y += 12;
     doc.text(`No-face events: ${report.noFaceCount}`, margin, y); y += 12;
     doc.text(`Multiple faces events: ${report.multipleFacesCount}`, margin, y); y += 12;
-    doc.text(`Object-detected events: ${report.objectDetectedCount}`, margin, y); y += 16;
+    doc.text(`Object-detected events: ${report.objectDetectedCount}`, margin, y); y += 12;
+    doc.text(`Sustained-speech events: ${report.sustainedSpeechCount}`, margin, y); y += 12;
+    doc.text(`Speech-without-face events: ${report.speechWithoutFaceCount}`, margin, y); y += 12;
+    doc.text(`Tab-hidden events: ${report.tabHiddenCount}`, margin, y); y += 12;
+    doc.text(`Window-blur events: ${report.windowBlurCount}`, margin, y); y += 12;
+    doc.text(`Fullscreen-exit events: ${report.fullscreenExitCount}`, margin, y); y += 12;
+    doc.text(`Clipboard attempts: ${report.clipboardAttemptCount}`, margin, y); y += 12;
+    doc.text(`Identity mismatches: ${report.identityMismatchCount}`, margin, y); y += 16;
     doc.setFontSize(13);
     doc.text(`Integrity Score: ${report.integrityScore}`, margin, y); y += 18;
     doc.setFontSize(10);
+    y = drawAttentionPDF(doc, report.attention, margin, y);
     doc.text('Recent Events (most recent first):', margin, y); y += 14;
     const maxLines = 30;
     let count = 0;
@@ -263,7 +1080,7 @@ async function downloadPDF(report) {
       if (y > 750) { doc.addPage(); y = 40; }
       count++;
     }
-    const filename = `${(report.candidateName || 'candidate').replace(/\s+/g, '_')}_proctoring_report.pdf`;
+    const filename = `${(report.candidateName || 'candidate').replace(/\s+/g, '_')}_proctoring_report_preview.pdf`;
     doc.save(filename);
   } catch (e) {
     console.error('downloadPDF failed', e);
@@ -271,7 +1088,24 @@ async function downloadPDF(report) {
   }
 }
 
-function injectReportDownloads(report) {
+// Attention section of the preview PDF: summary line, focus over time and
+// the face-position heatmap (layout from attention.js); returns the next y
+function drawAttentionPDF(doc, attention, x, y) {
+  doc.text(`Attention: ${Attention.attentionLine(attention)}`, x, y); y += 8;
+  if (!attention) return y + 8;
+  const fill = (rects) => rects.forEach(r => { doc.setFillColor(...r.color); doc.rect(r.x, r.y, r.w, r.h, 'F'); });
+  fill(Attention.chartRects(attention, x, y, 360, 60));
+  fill(Attention.heatmapRects(attention, x + 380, y, 100));
+  doc.setTextColor(100);
+  doc.text(`Focus over time (bars of ${attention.bucketSec}s)`, x, y + 72);
+  doc.text('Face positions', x + 380, y + 112);
+  doc.setTextColor(0);
+  return y + 128;
+}
+
+// Preview buttons render the local report; server links (once available)
+// download the authoritative report built from stored events.
+function injectReportDownloads(preview) {
   const existing = document.getElementById('report-downloads');
   if (existing) existing.remove();
   const container = document.createElement('div');
@@ -280,272 +1114,549 @@ function injectReportDownloads(report) {
   container.style.display = 'flex';
   container.style.gap = '8px';
   const pdfBtn = document.createElement('button');
-  pdfBtn.type = 'button'; pdfBtn.textContent = 'Download PDF'; pdfBtn.onclick = () => downloadPDF(report);
+  pdfBtn.type = 'button'; pdfBtn.textContent = 'Preview PDF'; pdfBtn.onclick = () => downloadPDF(preview);
   const csvBtn = document.createElement('button');
-  csvBtn.type = 'button'; csvBtn.textContent = 'Download CSV'; csvBtn.onclick = () => downloadCSV(report);
+  csvBtn.type = 'button'; csvBtn.textContent = 'Preview CSV'; csvBtn.onclick = () => downloadCSV(preview);
   const jsonBtn = document.createElement('button');
-  jsonBtn.type = 'button'; jsonBtn.textContent = 'Download JSON'; jsonBtn.onclick = () => downloadJSON(report);
+  jsonBtn.type = 'button'; jsonBtn.textContent = 'Preview JSON'; jsonBtn.onclick = () => downloadJSON(preview);
   container.appendChild(pdfBtn); container.appendChild(csvBtn); container.appendChild(jsonBtn);
+  if (traceFrames.length) {
+    const traceBtn = document.createElement('button');
+    traceBtn.type = 'button'; traceBtn.textContent = `Detection trace (${traceFrames.length} frames)`; traceBtn.onclick = downloadTrace;
+    container.appendChild(traceBtn);
+  }
   const parent = eventsList.parentElement || document.body;
   parent.insertBefore(container, eventsList);
 }
 
-// Models init (CPU-first)
+// Self-hosted model URLs (null for a model the server does not have)
+async function localModelUrls() {
+  try {
+    const resp = await fetch('/api/assets');
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const { models } = await resp.json();
+    for (const [id, url] of Object.entries(models)) {
+      if (!url) console.warn(`Model ${id} is not hosted by the server; falling back to the public CDN`);
+    }
+    return models;
+  } catch (e) {
+    console.warn('localModelUrls failed; falling back to the public CDN', e);
+    return {};
+  }
+}
+
+// ====== Inference ======
+// Same files as the library <script> tags in index.html (importScripts has no
+// integrity check; the server only serves files that match their pins)
+const WORKER_SCRIPTS = [
+  '/vendor/tfjs@3.21.0/tf.min.js',
+  '/vendor/tfjs-backend-wasm@3.21.0/tf-backend-wasm.min.js',
+  '/vendor/blazeface@0.0.7/blazeface.min.js',
+  '/vendor/coco-ssd@2.2.2/coco-ssd.min.js'
+];
+const WORKER_INIT_TIMEOUT_MS = 60000;
+const TELEMETRY_WINDOW_MS = 15000;
+
+function callWorker(msg, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = inference.nextId++;
+    inference.calls.set(id, { resolve, reject });
+    inference.worker.postMessage({ ...msg, id }, transfer);
+  });
+}
+
+function onWorkerMessage(e) {
+  const call = inference.calls.get(e.data.id);
+  if (!call) return;
+  inference.calls.delete(e.data.id);
+  if (e.data.error) call.reject(new Error(e.data.error));
+  else call.resolve(e.data);
+}
+
+function failWorkerCalls(err) {
+  for (const call of inference.calls.values()) call.reject(err);
+  inference.calls.clear();
+}
+
+// Load the models in the worker; false if the browser cannot run it there
+async function startWorker(models) {
+  // the worker reads frames through OffscreenCanvas (tf.browser.fromPixels)
+  if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+  let timer = null;
+  try {
+    inference.worker = new Worker('/inference.js');
+    inference.worker.onmessage = onWorkerMessage;
+    inference.worker.onerror = (e) => {
+      console.warn('detection worker error', e.message);
+      failWorkerCalls(new Error(e.message || 'worker error'));
+    };
+    const ready = await Promise.race([
+      callWorker({ type: 'init', scripts: WORKER_SCRIPTS, backend: config.backend, models }),
+      new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('worker init timed out')), WORKER_INIT_TIMEOUT_MS); })
+    ]);
+    if (!ready.face && !ready.objects) throw new Error('no model loaded in the worker');
+    Object.assign(inference, { backend: ready.backend, face: ready.face, objects: ready.objects });
+    return true;
+  } catch (e) {
+    console.warn('detection worker unavailable; running the models on the main thread', e);
+    if (inference.worker) inference.worker.terminate();
+    inference.worker = null;
+    failWorkerCalls(e);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 async function initModels() {
   uiStatus('Initializing TF backend & models...');
   if (typeof tf === 'undefined') {
     uiStatus('ERROR: TensorFlow.js not found. Include tf.min.js before app.js');
     throw new Error('tf not loaded');
   }
-  await tf.ready();
-  try {
-    await tf.setBackend(BACKEND);
-    await tf.ready();
-    console.log('TF backend set to', BACKEND);
-  } catch (e) {
-    console.warn('failed to set backend', BACKEND, e);
-    await tf.setBackend('cpu');
-    await tf.ready();
-    console.log('TF backend fallback to cpu');
+  const models = await localModelUrls();
+  inference.requested = config.backend;
+  if (!(await startWorker(models))) {
+    inference.backend = await Inference.selectBackend(config.backend);
+    Object.assign(inference, await Inference.loadModels(models));
   }
+  console.log('Models loaded', inference.worker ? 'in the worker' : 'on the main thread', inference.backend, models);
+  if (!inference.face) uiStatus('Warning: BlazeFace failed to load');
+  else if (!inference.objects) uiStatus('Warning: COCO-SSD failed to load (object detection disabled)');
+  else uiStatus(`Models ready (${inference.backend}${inference.worker ? ', worker' : ''})`);
+}
+
+// Run the models on `source` (the video or a canvas):
+// { faces, objects, faceMs, objectMs }, objects undefined unless requested
+async function infer(source, opts) {
+  if (!inference.worker) return Inference.run(source, opts);
+  const frame = await createImageBitmap(source);
+  return callWorker({ type: 'detect', frame, faces: !!opts.faces, objects: !!opts.objects }, [frame]);
+}
 
-  uiStatus('Loading BlazeFace...');
+// Detection rate, telemetry and attention while the detection loop runs
+let perf = null; // { pacer, telemetry, attention, nextTelemetryAt }
+
+function takeTelemetry(now) {
+  return perf.telemetry.take(now, {
+    backend: inference.backend,
+    worker: !!inference.worker,
+    intervalMs: Math.round(perf.pacer.interval())
+  });
+}
+
+// Not through postLog: telemetry is neither shown to the candidate nor counted
+async function postTelemetry(detail) {
+  if (!session.id) return;
   try {
-    faceModel = await blazeface.load();
-    console.log('BlazeFace loaded');
+    await outbox.add({ sessionId: session.id, timestamp: new Date().toISOString(), type: 'detection_telemetry', detail });
   } catch (e) {
-    faceModel = null;
-    console.warn('BlazeFace load failed', e);
-    uiStatus('Warning: BlazeFace failed to load');
+    console.warn('postTelemetry: outbox write failed', e);
   }
+}
 
-  uiStatus('Loading COCO-SSD (object detector)...');
+// Not through postLog either: the seconds are summarized in the report, not listed
+async function postAttention(detail) {
+  if (!session.id || !detail.seconds.length) return;
+  attentionSamples.push(detail);
   try {
-    objModel = await cocoSsd.load();
-    console.log('COCO-SSD loaded');
+    await outbox.add({ sessionId: session.id, timestamp: new Date().toISOString(), type: Attention.SAMPLE_TYPE, detail });
   } catch (e) {
-    objModel = null;
-    console.warn('COCO-SSD load failed', e);
-    uiStatus('Warning: COCO-SSD failed to load (object detection disabled)');
+    console.warn('postAttention: outbox write failed', e);
   }
-
-  uiStatus(`Models ready. face:${!!faceModel} obj:${!!objModel}`);
 }
 
 // Start session
 async function startSession() {
-  session.name = candidateNameInput.value || 'Unknown';
+  // must run inside the click's user activation, before any await
+  if (config.requireFullscreen) enterFullscreen();
+  if (!invite.session) { uiStatus('No invite — open the link you were sent'); return; }
+  if (!invite.session.consent) { uiStatus('Accept the consent notice first'); return; }
+  clearTimeout(examTimer);
+  startBtn.disabled = true; // no second start while this one runs
+  session.id = null;
+  session.stopping = false;
+  session.name = invite.session.candidateName || 'Unknown';
   session.startedAt = new Date().toISOString();
   session.endedAt = null;
   session.durationMs = 0;
   session.lookingAwayCount = session.noFaceCount = session.multipleFacesCount = session.objectDetectedCount = 0;
-  eventHistory = []; lastItemLogAt = {};
+  session.sustainedSpeechCount = session.speechWithoutFaceCount = 0;
+  session.tabHiddenCount = session.windowBlurCount = session.fullscreenExitCount = 0;
+  session.clipboardAttemptCount = session.identityMismatchCount = 0;
+  session.calibration = null;
+  eventHistory = []; attentionSamples = []; lastSnapshotAt = {}; traceFrames = [];
   try {
-    stream = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480 }, audio: false });
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: { width: 640, height: 480 },
+      audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+    });
     video.srcObject = stream;
     await video.play();
     overlay.width = video.videoWidth || 640; overlay.height = video.videoHeight || 480;
 
-    recordedChunks = [];
-    let mime = 'video/webm;codecs=vp9';
-    if (!MediaRecorder.isTypeSupported(mime)) {
-      mime = 'video/webm;codecs=vp8';
-      if (!MediaRecorder.isTypeSupported(mime)) mime = 'video/webm';
-    }
+    const started = await startServerSession(invite.session.id);
+    session.id = started.id;
+    session.startedAt = started.startedAt;
+    session.serverIdentity = started.identity;
+    await outbox.resume(session.id, started.eventSeq);
+    session.enrollmentSignature = started.enrollmentSignature;
+    // run with exactly the profile the server stamped into the session
+    applyProfile(started.profile);
+    await applyBackend(config.backend);
+    envState = { hiddenSince: null, blurSince: null, blurOverlapsHidden: false, fullscreenExitSince: null };
+    openProctorChannel(session.id);
+    if (config.requireFullscreen && !document.fullscreenElement) onFullscreenChange();
+
+    const candidates = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9', 'video/webm;codecs=vp8'];
+    const mime = candidates.find(m => MediaRecorder.isTypeSupported(m)) || 'video/webm';
     try {
       recorder = new MediaRecorder(stream, { mimeType: mime });
     } catch (e) {
       recorder = new MediaRecorder(stream);
     }
-    recorder.ondataavailable = (e) => { if (e.data && e.data.size) recordedChunks.push(e.data); };
+    resetUploader(session.id, recorder.mimeType || mime, Date.now());
+    recorder.ondataavailable = (e) => { if (e.data && e.data.size) enqueueChunk(e.data); };
     recorder.start(1000);
 
     startBtn.disabled = true; stopBtn.disabled = false;
     uiStatus('Session started');
     await postLog('session_start', { candidate: session.name });
+    startDeadlineClock(started.deadline);
 
-    noFaceSince = null; lookingAwaySince = null;
+    startAudioMonitor(stream);
     detectionLoop();
   } catch (e) {
     console.error('startSession failed', e);
-    uiStatus('Camera error: ' + (e && e.message ? e.message : e));
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    uiStatus('Start error: ' + (e && e.message ? e.message : e));
+    session.id = null;
+    updateStartGate(); // the window may have opened or closed meanwhile
   }
 }
 
 // Stop session
 async function stopSession() {
-  try { if (recorder && recorder.state !== 'inactive') recorder.stop(); } catch (e) { console.warn(e); }
+  if (session.stopping) return; // stop button and proctor terminate can race
+  session.stopping = true;
+  clearTimeout(examTimer);
+  countdown.hidden = true;
+  // wait for the recorder's final slice before the upload is finalized
+  try {
+    if (recorder && recorder.state !== 'inactive') {
+      await new Promise(resolve => { recorder.onstop = resolve; recorder.stop(); });
+    }
+  } catch (e) { console.warn(e); }
+  // close the episodes still open, before the server session is closed
+  for (const ev of detector.finish(Date.now())) await postLog(ev.type, ev.detail);
+  if (perf) {
+    await postTelemetry(takeTelemetry(Date.now()));
+    await postAttention(perf.attention.finish(Date.now()));
+    perf = null;
+  }
+  await flushEnvironment();
+  closeProctorChannel();
+  stopAudioMonitor();
   if (stream) stream.getTracks().forEach(t => t.stop());
-  startBtn.disabled = false; stopBtn.disabled = true;
+  stopBtn.disabled = true; // an invite is good for one session
   session.endedAt = new Date().toISOString();
   session.durationMs = new Date(session.endedAt) - new Date(session.startedAt || session.endedAt);
-  const report = buildReport();
-  // show in UI
-  const li = document.createElement('li');
-  li.textContent = `[${new Date().toISOString()}] session_report — ${JSON.stringify(report)}`;
-  eventsList.prepend(li);
-  // send to backend
+  const eventsPending = session.id ? await drainOutbox(session.id, OUTBOX_DRAIN_TIMEOUT_MS) : 0;
+  if (session.id) await closeServerSession(session.id, outbox.lastSeq(session.id));
+  // local preview only — the server builds the report of record for proctors
+  const preview = buildReport();
+  uiStatus(`Stopped. Preview integrity score: ${preview.integrityScore} (uploading video...)`);
+  injectReportDownloads(preview);
+
+  // flush remaining slices and assemble the recording on the server
+  const uploaded = await finalizeUpload();
+  const uploadNote = uploaded ? '' : ' — video upload incomplete (see console)';
+  const pending = session.id ? await outbox.pending(session.id) : eventsPending;
+  // keep the token while events are queued, so a reload can still deliver them
+  if (!pending) sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+  const eventsNote = pending ? ` — ${pending} event(s) not yet delivered; keep this page open` : '';
+  uiStatus(`Stopped. Session submitted for review${uploadNote}${eventsNote}`);
+}
+
+// Calibration: CALIBRATION_MS of frames while the candidate looks at the
+// screen, retried once if the face is missing or moving
+const CALIBRATION_MS = 4000;
+const CALIBRATION_ATTEMPTS = 2;
+
+function calibrationText(c) {
+  if (!c) return 'not calibrated';
+  if (!c.ok) return `failed (${c.reason})`;
+  const b = c.baseline;
+  return b.yaw == null ? 'face position only' : `yaw ${Math.round(b.yaw)}°, pitch ${Math.round(b.pitch)}°`;
+}
+
+async function captureCalibration() {
+  const frames = [];
+  const started = Date.now();
+  while (Date.now() - started < CALIBRATION_MS && !session.endedAt) {
+    let faces = [];
+    try {
+      faces = (await infer(video, { faces: true })).faces;
+    } catch (e) {
+      console.warn('calibration inference error', e);
+    }
+    frames.push({ t: Date.now(), width: overlay.width, height: overlay.height, faces: faces || [] });
+
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    ctx.save();
+    ctx.strokeStyle = 'deepskyblue'; ctx.lineWidth = 2;
+    for (const f of faces || []) {
+      const b = DetectionCore.normalizeFaceBox(f);
+      if (b) ctx.strokeRect(b.x, b.y, b.w, b.h);
+    }
+    const left = Math.ceil((CALIBRATION_MS - (Date.now() - started)) / 1000);
+    ctx.fillStyle = 'deepskyblue'; ctx.font = '16px sans-serif';
+    ctx.fillText(`Look at the screen and hold still… ${Math.max(0, left)}`, 12, 24);
+    ctx.restore();
+    await new Promise(r => setTimeout(r, 150));
+  }
+  ctx.clearRect(0, 0, overlay.width, overlay.height);
+  return frames;
+}
+
+// Returns the baseline for the detector, or null to monitor against the defaults
+async function runCalibration() {
+  let result = null;
+  for (let attempt = 1; attempt <= CALIBRATION_ATTEMPTS && !session.endedAt; attempt++) {
+    uiStatus(result ? `Calibration failed (${result.reason}); trying again` : 'Calibrating: look at the screen');
+    const started = Date.now();
+    const frames = await captureCalibration();
+    result = { ...DetectionCore.computeBaseline(frames), durationMs: Date.now() - started };
+    if (result.ok) break;
+  }
+  if (!result || session.endedAt) return null;
+
+  session.calibration = result;
   try {
-    await fetch('/api/log', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ timestamp: new Date().toISOString(), type: 'session_report', detail: report }) });
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}/calibration`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    });
+    if (!resp.ok) console.warn('Calibration upload failed', resp.status);
   } catch (e) {
-    console.warn('report upload failed', e);
+    console.warn('Calibration upload failed', e);
   }
-  uiStatus(`Stopped. Integrity score: ${report.integrityScore}`);
-  injectReportDownloads(report);
+  uiStatus(result.ok ? 'Calibrated' : `Calibration failed (${result.reason}); using default thresholds`);
+  return result.ok ? result.baseline : null;
+}
 
-  // upload recorded video (best-effort)
+// Identity continuity: ENROLL_SAMPLES frontal frames after calibration form
+// the enrollment signature; it is compared with the reference photo (if the
+// proctor attached one) and re-verified every identityCheckMs. A failed check
+// is repeated after IDENTITY_RECHECK_MS; the monitor needs two in a row.
+const ENROLL_SAMPLES = 3;
+const ENROLL_TIMEOUT_MS = 15000;
+const IDENTITY_RECHECK_MS = 5000;
+const IDENTITY_MAX_TURN_DEG = 15; // only compare faces turned less than this from the baseline
+let identity = { signature: null, monitor: null, nextCheckAt: 0 };
+
+function grabFrame() {
+  const c = document.createElement('canvas');
+  c.width = overlay.width; c.height = overlay.height;
+  const cctx = c.getContext('2d');
+  cctx.drawImage(video, 0, 0, c.width, c.height);
+  return { canvas: c, image: cctx.getImageData(0, 0, c.width, c.height) };
+}
+
+// Landmarks of the only face in view if it faces the screen, else null
+function frontalLandmarks(faces) {
+  if (!faces || faces.length !== 1) return null;
+  const landmarks = DetectionCore.faceLandmarks(faces[0]);
+  const pose = landmarks && DetectionCore.estimateHeadPose(landmarks);
+  if (!pose) return null;
+  const b = detector.baseline;
+  const yaw = pose.yaw - (b && b.yaw != null ? b.yaw : 0);
+  const pitch = pose.pitch - (b && b.pitch != null ? b.pitch : 0);
+  return Math.abs(yaw) < IDENTITY_MAX_TURN_DEG && Math.abs(pitch) < IDENTITY_MAX_TURN_DEG ? landmarks : null;
+}
+
+// Similarity of the proctor's reference photo to `signature`, or null if there
+// is no usable reference
+async function compareReference(signature) {
+  if (!session.serverIdentity || !session.serverIdentity.reference) return null;
   try {
-    const blob = new Blob(recordedChunks, { type: 'video/webm' });
-    const form = new FormData();
-    form.append('video', blob, `${(session.name || 'candidate').replace(/\s+/g,'_')}.webm`);
-    const resp = await fetch('/api/upload-video', { method: 'POST', body: form });
-    if (resp.ok) console.log('Video uploaded');
-    else console.warn('Video upload non-OK', resp.status);
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}/identity/reference`);
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const bitmap = await createImageBitmap(await resp.blob());
+    const c = document.createElement('canvas');
+    c.width = bitmap.width; c.height = bitmap.height;
+    const cctx = c.getContext('2d');
+    cctx.drawImage(bitmap, 0, 0);
+    const { faces } = await infer(c, { faces: true });
+    const face = faces.length === 1 ? DetectionCore.faceLandmarks(faces[0]) : null;
+    if (!face) { console.warn(`reference photo: expected one face, found ${faces.length}`); return null; }
+    const ref = FaceSignature.describe(cctx.getImageData(0, 0, c.width, c.height), face);
+    return ref ? FaceSignature.similarity(ref, signature) : null;
   } catch (e) {
-    console.warn('Video upload failed', e);
+    console.warn('reference photo comparison failed', e);
+    return null;
   }
 }
 
-// Detection loop
+async function enrollIdentity() {
+  const signatures = [], snapshots = [];
+  const started = Date.now();
+  uiStatus('Enrolling your face: keep looking at the screen');
+  while (signatures.length < ENROLL_SAMPLES && Date.now() - started < ENROLL_TIMEOUT_MS && !session.endedAt) {
+    let faces = [];
+    try {
+      faces = (await infer(video, { faces: true })).faces;
+    } catch (e) {
+      console.warn('enrollment inference error', e);
+    }
+    const landmarks = frontalLandmarks(faces);
+    if (landmarks) {
+      const { canvas, image } = grabFrame();
+      const signature = FaceSignature.describe(image, landmarks);
+      const snap = signature && await uploadSnapshot(await new Promise(r => canvas.toBlob(r, 'image/jpeg', 0.8)));
+      if (snap) { signatures.push(signature); snapshots.push(snap.id); }
+    }
+    await new Promise(r => setTimeout(r, 300));
+  }
+  if (signatures.length < ENROLL_SAMPLES) {
+    console.warn(`face enrollment: ${signatures.length} of ${ENROLL_SAMPLES} samples`);
+    return null;
+  }
+
+  const signature = FaceSignature.average(signatures);
+  const referenceSimilarity = await compareReference(signature);
+  if (referenceSimilarity != null && referenceSimilarity < config.identityMatchThreshold) {
+    await postLog('identity_mismatch', { similarity: referenceSimilarity, threshold: config.identityMatchThreshold, against: 'reference' });
+  }
+  try {
+    const resp = await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}/identity/enrollment`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ snapshots, signature, referenceSimilarity })
+    });
+    if (!resp.ok) console.warn('Enrollment upload failed', resp.status);
+  } catch (e) {
+    console.warn('Enrollment upload failed', e);
+  }
+  return signature;
+}
+
+async function startIdentity() {
+  identity = { signature: null, monitor: null, nextCheckAt: 0 };
+  if (!config.identityCheck || !inference.face) return;
+  // a resumed session is checked against its original enrollment right away
+  identity.signature = session.enrollmentSignature || await enrollIdentity();
+  if (!identity.signature) return;
+  identity.monitor = FaceSignature.createIdentityMonitor({ threshold: config.identityMatchThreshold });
+  identity.nextCheckAt = session.enrollmentSignature ? 0 : Date.now() + config.identityCheckMs;
+}
+
+// Returns the identity_mismatch detail to log, or null
+function checkIdentity(now, faces) {
+  if (!identity.monitor || now < identity.nextCheckAt) return null;
+  const landmarks = frontalLandmarks(faces);
+  if (!landmarks) return null; // try again on the next frontal frame
+  const signature = FaceSignature.describe(grabFrame().image, landmarks);
+  if (!signature) return null;
+  const score = FaceSignature.similarity(identity.signature, signature);
+  identity.nextCheckAt = now + (score < config.identityMatchThreshold ? IDENTITY_RECHECK_MS : config.identityCheckMs);
+  return identity.monitor.check(score);
+}
+
+// Detection loop. A timer asks for a frame every pacer.interval(); a frame
+// that comes due while the previous one is still being analysed is dropped
+// (and counted). Results are handled one at a time, in order.
 async function detectionLoop() {
   // wait up to a short time for models to load (non blocking)
   const waitForModels = async (maxMs = 8000) => {
     const start = Date.now();
-    while (!faceModel && !objModel && (Date.now() - start) < maxMs) {
+    while (!inference.face && !inference.objects && (Date.now() - start) < maxMs) {
       console.log('Waiting for any model to load...');
       await new Promise(r => setTimeout(r, 400));
     }
   };
   await waitForModels();
-  if (!faceModel && !objModel) {
+  if (!inference.face && !inference.objects) {
     uiStatus('No models loaded; detection disabled.');
     return;
   }
 
-  const TICK = 500;
-  let lastObjTick = Date.now();
+  const baseline = inference.face ? await runCalibration() : null;
+  detector = DetectionCore.createDetector(detectorSettings(), {
+    isPaper: o => detectPaperHeuristic(...o.bbox),
+    baseline
+  });
+  await startIdentity();
+  const notes = [];
+  if (inference.face && !baseline) notes.push('not calibrated');
+  if (inference.face && config.identityCheck && !identity.signature) notes.push('identity checks off');
+  uiStatus(`Monitoring started${notes.length ? ` (${notes.join(', ')})` : ''}`);
 
-  async function tick() {
-    if (!video || video.paused || video.ended) { requestAnimationFrame(tick); return; }
-    const now = Date.now();
+  perf = {
+    pacer: Inference.createPacer({ maxFps: config.maxDetectionFps }),
+    telemetry: Inference.createTelemetry(),
+    attention: Attention.createAttention(Date.now()),
+    nextTelemetryAt: Date.now() + TELEMETRY_WINDOW_MS
+  };
+  let busy = false;
+  let lastObjectsAt = 0;
+  let handling = Promise.resolve();
+
+  async function handleFrame(now, result) {
+    if (session.stopping) return; // stopSession has closed the detector's episodes
     ctx.clearRect(0, 0, overlay.width, overlay.height);
+    const frame = { t: now, width: overlay.width, height: overlay.height, faces: result.faces || [], objects: result.objects };
+    recordTraceFrame(frame);
+    const r = detector.step(frame);
+    perf.attention.frame(now, r.attention);
 
-    // Face detection
-    let faces = [];
-    if (faceModel) {
-      try {
-        faces = await faceModel.estimateFaces(video, false);
-      } catch (e) {
-        console.warn('faceModel estimateFaces error', e);
-        faces = [];
-      }
+    // draw every box before posting, so evidence snapshots show all of them
+    ctx.strokeStyle = 'lime'; ctx.lineWidth = 2;
+    for (const b of r.faces) ctx.strokeRect(b.x, b.y, b.w, b.h);
+    if (r.pose && r.faces.length) {
+      const b = r.faces.reduce((a, c) => (c.w * c.h > a.w * a.h ? c : a));
+      ctx.fillStyle = 'lime';
+      ctx.fillText(`yaw ${Math.round(r.pose.yaw)}° pitch ${Math.round(r.pose.pitch)}°`, b.x + 4, b.y - 4);
     }
-
-    if (!faces || faces.length === 0) {
-      if (!noFaceSince) noFaceSince = now;
-      else if (now - noFaceSince > NO_FACE_MS) {
-        await postLog('no_face', { duration_ms: now - noFaceSince });
-        noFaceSince = now + 1000;
-      }
-      lookingAwaySince = null;
-    } else {
-      noFaceSince = null;
-      if (faces.length > 1) await postLog('multiple_faces', { count: faces.length });
-
-      for (const f of faces) {
-        try {
-          // Normalize bounding box formats
-          let start = null, end = null;
-          if (Array.isArray(f.topLeft) && Array.isArray(f.bottomRight)) {
-            start = f.topLeft; end = f.bottomRight;
-          } else if (Array.isArray(f.boundingBox) && f.boundingBox.length >= 4) {
-            start = [f.boundingBox[0], f.boundingBox[1]];
-            end = [f.boundingBox[0] + f.boundingBox[2], f.boundingBox[1] + f.boundingBox[3]];
-          } else if (Array.isArray(f.box) && f.box.length >= 4) {
-            start = [f.box[0], f.box[1]];
-            end = [f.box[0] + f.box[2], f.box[1] + f.box[3]];
-          } else if (f.topLeft && Array.isArray(f.topLeft) && Array.isArray(f.topLeft[0])) {
-            start = f.topLeft[0];
-            end = (f.bottomRight && Array.isArray(f.bottomRight) && Array.isArray(f.bottomRight[0])) ? f.bottomRight[0] : null;
-          }
-
-          if (!start || !end) {
-            console.warn('Unexpected face format, skipping', f);
-            continue;
-          }
-
-          const x = Number(start[0]), y = Number(start[1]);
-          const w = Number(end[0]) - Number(start[0]);
-          const h = Number(end[1]) - Number(start[1]);
-          if (!isFinite(x) || !isFinite(y) || !isFinite(w) || !isFinite(h) || w <= 0 || h <= 0) {
-            console.warn('Invalid bbox, skip', { x, y, w, h });
-            continue;
-          }
-
-          ctx.strokeStyle = 'lime'; ctx.lineWidth = 2; ctx.strokeRect(x, y, w, h);
-
-          const centerX = x + w / 2, centerY = y + h / 2;
-          const dx = Math.abs(centerX - overlay.width / 2), dy = Math.abs(centerY - overlay.height / 2);
-          const norm = Math.sqrt(dx * dx + dy * dy);
-
-          if (norm > overlay.width * 0.18) {
-            if (!lookingAwaySince) lookingAwaySince = now;
-            else if (now - lookingAwaySince > FACE_LOOK_AWAY_MS) {
-              await postLog('looking_away', { duration_ms: now - lookingAwaySince });
-              lookingAwaySince = now + 1000;
-            }
-          } else {
-            lookingAwaySince = null;
-          }
-        } catch (e) {
-          console.warn('Error processing face entry', e, f);
-        }
-      } // faces
+    for (const o of r.objects) {
+      const [ox, oy, ow, oh] = o.bbox;
+      ctx.strokeStyle = 'yellow'; ctx.lineWidth = 2; ctx.strokeRect(ox, oy, ow, oh);
+      ctx.fillStyle = 'yellow'; ctx.fillText(`${o.class} ${Math.round(o.score * 100)}%`, ox + 4, oy + 12);
     }
+    for (const ev of r.events) await postLog(ev.type, ev.detail);
+    const mismatch = checkIdentity(now, frame.faces);
+    if (mismatch) await postLog('identity_mismatch', mismatch);
+  }
 
-    // Object detection (periodic)
-    if (objModel && (now - lastObjTick) >= TICK * 2) {
-      lastObjTick = now;
-      try {
-        const objs = await objModel.detect(video);
-        for (const o of objs) {
-          try {
-            const [ox, oy, ow, oh] = o.bbox;
-            ctx.strokeStyle = 'yellow'; ctx.lineWidth = 2; ctx.strokeRect(ox, oy, ow, oh);
-            ctx.fillStyle = 'yellow'; ctx.fillText(`${o.class} ${Math.round(o.score * 100)}%`, ox + 4, oy + 12);
-
-            const cls = String(o.class).toLowerCase();
-            const score = Number(o.score || 0);
-            let flagged = false;
-            let reason = '';
-
-            if (ITEM_CLASSES.has(cls) && score >= ITEM_DETECTION_CONFIDENCE) {
-              flagged = true; reason = cls;
-            } else if (score >= 0.25) {
-              // heuristic: paper detection
-              if (detectPaperHeuristic(ox, oy, ow, oh)) {
-                flagged = true; reason = 'paper/note (heuristic)';
-              }
-            }
-
-            if (flagged) {
-              const nowTs = Date.now();
-              const last = lastItemLogAt[reason] || 0;
-              if (nowTs - last > ITEM_DEBOUNCE_MS) {
-                lastItemLogAt[reason] = nowTs;
-                await postLog('object_detected', { object: reason, model_class: o.class, score: score.toFixed(2), bbox: o.bbox });
-              }
-            }
-          } catch (inner) {
-            console.warn('Error handling object', inner, o);
-          }
-        }
-      } catch (e) {
-        console.warn('objModel.detect error', e);
-      }
+  async function tick() {
+    if (session.endedAt || session.stopping) return;
+    setTimeout(tick, perf.pacer.interval());
+    const now = Date.now();
+    if (now >= perf.nextTelemetryAt) {
+      perf.nextTelemetryAt = now + TELEMETRY_WINDOW_MS;
+      postTelemetry(takeTelemetry(now));
+      postAttention(perf.attention.take(now));
     }
+    if (!video || video.paused || video.ended) return;
+    if (busy) { perf.telemetry.drop(); return; }
 
-    requestAnimationFrame(tick);
+    busy = true;
+    const objects = inference.objects && now - lastObjectsAt >= perf.pacer.objectInterval();
+    if (objects) lastObjectsAt = now;
+    let result;
+    try {
+      result = await infer(video, { faces: inference.face, objects });
+    } catch (e) {
+      console.warn('inference error', e);
+      perf.telemetry.drop();
+      return;
+    } finally {
+      busy = false;
+    }
+    perf.pacer.record(result);
+    perf.telemetry.frame(result);
+    handling = handling.then(() => handleFrame(now, result)).catch(e => console.warn('handleFrame failed', e));
   } // tick
 
   tick();
@@ -554,7 +1665,25 @@ async function detectionLoop() {
 // Wiring
 startBtn.addEventListener('click', startSession);
 stopBtn.addEventListener('click', stopSession);
-window.addEventListener('load', () => {
+window.addEventListener('online', resumeUploads);
+window.addEventListener('online', () => outbox.flush());
+document.addEventListener('visibilitychange', onVisibilityChange);
+window.addEventListener('blur', onWindowBlur);
+window.addEventListener('focus', onWindowFocus);
+document.addEventListener('fullscreenchange', onFullscreenChange);
+for (const type of ['copy', 'cut', 'paste', 'contextmenu']) document.addEventListener(type, onClipboardAttempt);
+window.addEventListener('beforeunload', onBeforeUnload);
+window.addEventListener('pagehide', onPageHide);
+if (fullscreenBtn) fullscreenBtn.addEventListener('click', enterFullscreen);
+if (proctorMessage) proctorMessage.addEventListener('click', () => { proctorMessage.hidden = true; });
+window.addEventListener('load', async () => {
+  startBtn.disabled = true;
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(e => console.warn('service worker registration failed', e));
+  }
+  if (!(await loadInvite())) return;
+  outbox.flush(); // events left over from before a reload
   uiStatus('Ready — loading models in background...');
+  requestConsent();
   initModels().catch(e => { console.error('initModels failed', e); uiStatus('Model init error (see console)'); });
 });
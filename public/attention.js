@@ -0,0 +1,241 @@
+/* public/attention.js
+   Attention analytics, shared by the browser (window.Attention) and Node
+   (require), like detection-core.js.
+
+   Episodes only count conditions that outlast their threshold, so a glance
+   away shorter than faceLookAwayMs leaves no trace. This module keeps a
+   continuous signal instead: every second of monitoring gets one state,
+   from the detector's per-frame `attention` (see detection-core.js step()):
+     F  focused: one face, oriented at the screen
+     A  away: one face, turned away or off-centre
+     M  multiple faces
+     N  no face
+     -  not measured (no frame analysed in that second)
+   A second takes the state of most of its frames; ties go to the worse one.
+
+   createAttention(t) collects frames; take(t) returns the completed seconds
+   as one attention_sample detail:
+     { from, to, seconds: 'FFFA--NN...', grid, heatmap }
+   heatmap counts where the face centre was on a grid x grid raster of the
+   frame, each second weighted equally however many frames it had.
+
+   summarize(samples, origin) turns the samples of a session into the
+   report's `attention` (summarizeEvents() picks them from stored events).
+   Overlapping samples count each second once, the later one winning.
+   chartRects() and heatmapRects() lay out the focus-over-time chart and the
+   heatmap as coloured rectangles, so the server PDF (pdfkit) and the
+   candidate's preview PDF (jsPDF) draw the same.
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Attention = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SAMPLE_TYPE = 'attention_sample';
+  const GRID = 10;
+  const STATES = 'FAMN';
+  const SEVERITY = { F: 0, A: 1, N: 2, M: 3 };
+  const MAX_SAMPLE_SECONDS = 3600;
+  const MAX_BUCKETS = 60;
+  const MIN_BUCKET_SEC = 10;
+
+  function stateOf(a) {
+    if (!a || !a.face) return 'N';
+    if (!a.single) return 'M';
+    return a.oriented ? 'F' : 'A';
+  }
+
+  function cellOf(a) {
+    if (!a || a.x == null || a.y == null) return null;
+    const clamp = (v) => Math.min(GRID - 1, Math.max(0, Math.floor(v * GRID)));
+    return clamp(a.y) * GRID + clamp(a.x);
+  }
+
+  function createAttention(start) {
+    let w = null;
+    const reset = (t) => { w = { from: t, seconds: new Map() }; };
+    reset(start);
+
+    function second(i) {
+      if (!w.seconds.has(i)) w.seconds.set(i, { counts: { F: 0, A: 0, M: 0, N: 0 }, cells: new Map(), placed: 0 });
+      return w.seconds.get(i);
+    }
+
+    // `n` seconds from the window start as a sample; later frames move to the next window
+    function cut(n) {
+      const codes = [];
+      const heatmap = new Array(GRID * GRID).fill(0);
+      for (let i = 0; i < n; i++) {
+        const s = w.seconds.get(i);
+        if (!s) { codes.push('-'); continue; }
+        let best = '-', bestCount = 0;
+        for (const state of STATES) {
+          const c = s.counts[state];
+          if (c > bestCount || (c && c === bestCount && SEVERITY[state] > SEVERITY[best])) { best = state; bestCount = c; }
+        }
+        codes.push(best);
+        for (const [cell, count] of s.cells) heatmap[cell] += count / s.placed;
+      }
+      const to = w.from + n * 1000;
+      const sample = {
+        from: new Date(w.from).toISOString(),
+        to: new Date(to).toISOString(),
+        seconds: codes.join(''),
+        grid: GRID,
+        heatmap: heatmap.map(v => Math.round(v * 100) / 100)
+      };
+      const carried = w.seconds;
+      reset(to);
+      for (const [i, s] of carried) if (i >= n) w.seconds.set(i - n, s);
+      return sample;
+    }
+
+    return {
+      frame(t, a) {
+        const i = Math.floor((t - w.from) / 1000);
+        if (i < 0) return;
+        const s = second(i);
+        s.counts[stateOf(a)]++;
+        const cell = cellOf(a);
+        if (cell != null) {
+          s.cells.set(cell, (s.cells.get(cell) || 0) + 1);
+          s.placed++;
+        }
+      },
+      // the whole seconds up to `t`
+      take(t) {
+        return cut(Math.max(0, Math.floor((t - w.from) / 1000)));
+      },
+      // everything, the last second included even if it is cut short
+      finish(t) {
+        return cut(Math.max(0, Math.ceil((t - w.from) / 1000)));
+      }
+    };
+  }
+
+  // Samples that are well formed, oldest first (they arrive from the client)
+  function validSamples(samples) {
+    const out = [];
+    for (const d of samples || []) {
+      if (!d) continue;
+      const from = new Date(d.from).getTime();
+      if (!isFinite(from) || typeof d.seconds !== 'string' || d.seconds.length > MAX_SAMPLE_SECONDS) continue;
+      if (!/^[FAMN-]*$/.test(d.seconds)) continue;
+      const heatmap = Array.isArray(d.heatmap) && d.grid === GRID && d.heatmap.length === GRID * GRID &&
+        d.heatmap.every(v => typeof v === 'number' && v >= 0 && isFinite(v)) ? d.heatmap : null;
+      out.push({ from, seconds: d.seconds, heatmap });
+    }
+    return out.sort((a, b) => a.from - b.from);
+  }
+
+  // Report summary, or null without samples:
+  //   { measuredSeconds, unmeasuredSeconds, focusedSeconds, focusedPct, awayPct,
+  //     multipleFacesPct, noFacePct, bucketSec,
+  //     timeline: [{ offsetSec, measuredSeconds, focusedPct }],
+  //     heatmap: { grid, cells } }
+  // Percentages are of the measured seconds. The timeline has at most
+  // MAX_BUCKETS buckets from `origin` (default: the first sample), focusedPct
+  // null where nothing was measured; heatmap cells are scaled to the busiest (1).
+  function summarize(samples, origin) {
+    const list = validSamples(samples);
+    if (!list.length) return null;
+    const originMs = isFinite(new Date(origin).getTime()) ? new Date(origin).getTime() : list[0].from;
+    // samples can overlap: each second since origin is counted once, a
+    // measured state taking precedence over '-'
+    const byOffset = new Map(); // whole second since origin -> state
+    const heat = new Array(GRID * GRID).fill(0);
+    let span = 1; // seconds from origin to the end of the sample reaching furthest
+    for (const s of list) {
+      const start = Math.floor((s.from - originMs) / 1000);
+      span = Math.max(span, start + s.seconds.length);
+      for (let i = 0; i < s.seconds.length; i++) {
+        const state = s.seconds[i];
+        if (state !== '-' || !byOffset.has(start + i)) byOffset.set(start + i, state);
+      }
+      if (s.heatmap) s.heatmap.forEach((v, cell) => { heat[cell] += v; });
+    }
+    const counts = { F: 0, A: 0, M: 0, N: 0, '-': 0 };
+    for (const state of byOffset.values()) counts[state]++;
+    const measured = counts.F + counts.A + counts.M + counts.N;
+    const pct = (v) => (measured ? Math.round((v / measured) * 1000) / 10 : 0);
+
+    // samples can overlap or arrive out of order: the span covers them all
+    const bucketSec = Math.max(MIN_BUCKET_SEC, Math.ceil(span / MAX_BUCKETS / MIN_BUCKET_SEC) * MIN_BUCKET_SEC);
+    const buckets = Array.from({ length: Math.ceil(span / bucketSec) }, () => ({ n: 0, focused: 0 }));
+    for (const [offset, state] of byOffset) {
+      const b = buckets[Math.floor(offset / bucketSec)];
+      if (!b || state === '-') continue;
+      b.n++;
+      if (state === 'F') b.focused++;
+    }
+    const timeline = buckets.map((b, i) => ({
+      offsetSec: i * bucketSec,
+      measuredSeconds: b.n,
+      focusedPct: b.n ? Math.round((b.focused / b.n) * 1000) / 10 : null
+    }));
+
+    const peak = Math.max(...heat);
+    return {
+      measuredSeconds: measured,
+      unmeasuredSeconds: counts['-'],
+      focusedSeconds: counts.F,
+      focusedPct: pct(counts.F),
+      awayPct: pct(counts.A),
+      multipleFacesPct: pct(counts.M),
+      noFacePct: pct(counts.N),
+      bucketSec,
+      timeline,
+      heatmap: { grid: GRID, cells: heat.map(v => (peak > 0 ? Math.round((v / peak) * 100) / 100 : 0)) }
+    };
+  }
+
+  // summarize() over the attention_sample events among stored `events`
+  function summarizeEvents(events, origin) {
+    return summarize(events.filter(ev => ev.type === SAMPLE_TYPE).map(ev => ev.detail), origin);
+  }
+
+  // One line for reports
+  function attentionLine(a) {
+    if (!a) return 'not measured';
+    return `${a.focusedPct}% focused over ${a.measuredSeconds}s measured (away ${a.awayPct}%, no face ${a.noFacePct}%, multiple faces ${a.multipleFacesPct}%)`;
+  }
+
+  // Focus over time: one bar per timeline bucket in a w x h box at (x, y),
+  // its height the focused share; grey where nothing was measured
+  function chartRects(a, x, y, w, h) {
+    const rects = [{ x, y, w, h, color: [241, 245, 249] }];
+    if (!a || !a.timeline.length) return rects;
+    const bw = w / a.timeline.length;
+    a.timeline.forEach((b, i) => {
+      if (b.focusedPct == null) {
+        rects.push({ x: x + i * bw, y, w: bw, h, color: [203, 213, 225] });
+        return;
+      }
+      const bh = (h * b.focusedPct) / 100;
+      const color = b.focusedPct >= 80 ? [22, 163, 74] : b.focusedPct >= 50 ? [234, 179, 8] : [220, 38, 38];
+      if (bh > 0) rects.push({ x: x + i * bw, y: y + h - bh, w: Math.max(bw - 1, 0.5), h: bh, color });
+    });
+    return rects;
+  }
+
+  // Face-position heatmap: grid x grid cells in a size x size square, white
+  // (never) to dark red (most often); the frame as the camera sees it
+  function heatmapRects(a, x, y, size) {
+    const rects = [];
+    if (!a) return rects;
+    const n = a.heatmap.grid;
+    const cell = size / n;
+    a.heatmap.cells.forEach((v, i) => {
+      const shade = (from, to) => Math.round(from + (to - from) * v);
+      rects.push({
+        x: x + (i % n) * cell,
+        y: y + Math.floor(i / n) * cell,
+        w: cell,
+        h: cell,
+        color: [shade(255, 185), shade(255, 28), shade(255, 28)]
+      });
+    });
+    return rects;
+  }
+
+  return { SAMPLE_TYPE, GRID, stateOf, createAttention, summarize, summarizeEvents, attentionLine, chartRects, heatmapRects };
+});
@@ -0,0 +1,351 @@
+/* public/detection-core.js
+   Pure detection state machine, shared by the browser (window.DetectionCore)
+   and Node (require). No DOM, canvas, timers or network: it is fed one frame
+   at a time and returns the events that frame triggers.
+
+   Frame: {
+     t,                 // timestamp in ms (only differences matter)
+     width, height,     // video frame size
+     faces,             // face model output for this frame ([] = no face)
+     objects            // object model output, or undefined when the object
+                        // model did not run on this frame
+   }
+   Faces may be in any of the BlazeFace shapes (topLeft/bottomRight,
+   boundingBox, box), optionally with BlazeFace `landmarks` ([x, y] for the
+   right eye, left eye, nose, mouth, right ear, left ear). Objects are
+   COCO-SSD shaped: { class, score, bbox }.
+
+   Calibration: computeBaseline(frames) turns a few seconds of frames of the
+   candidate looking at the screen into their baseline head pose, face
+   position and size. A detector created with { baseline } measures
+   looking_away as the deviation from it instead of from a frontal pose in
+   the middle of the frame.
+
+   Episodes: no_face, looking_away and multiple_faces are conditions that
+   last. Each incident is one episode, reported as events of the same type
+   with detail { episode, phase, duration_ms }:
+     phase 'open'    the condition has lasted past its threshold
+     phase 'update'  every EPISODE_UPDATE_MS while it lasts
+     phase 'close'   on the first frame without it (or finish()), with the
+                     total duration
+   duration_ms always counts from when the condition began, so it includes
+   the threshold.
+
+   Rules (thresholds come from the exam profile settings):
+   - no_face: no face for longer than noFaceMs
+   - looking_away: head turned more than maxYawDeg or tilted more than
+     maxPitchDeg (see estimateHeadPose) for longer than faceLookAwayMs.
+     Only the largest face counts. A face without
+     landmarks falls back to its centre being further than
+     lookAwayCenterRatio * width from the frame centre (with a baseline: from
+     the baseline centre, scaled by face size relative to the baseline).
+   - multiple_faces: more than one face on two or more consecutive frames;
+     the close event carries max_count
+   - object_detected: a listed class at or above itemDetectionConfidence, or
+     (detectPaper) anything at >= 0.25 that `isPaper(obj)` accepts;
+     debounced per reason by itemDebounceMs
+
+   Every step also returns the frame's `attention`, with no threshold
+   applied, for the per-second signal in attention.js:
+     { face, single, oriented, x, y }  oriented = the looking_away test
+     passes; x, y = the largest face's centre as a fraction of the frame
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DetectionCore = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULTS = {
+    faceLookAwayMs: 5000,
+    noFaceMs: 10000,
+    itemDetectionConfidence: 0.45,
+    itemDebounceMs: 5000,
+    itemClasses: [],
+    detectPaper: true,
+    maxYawDeg: 30,
+    maxPitchDeg: 25,
+    lookAwayCenterRatio: 0.18
+  };
+  const PAPER_MIN_SCORE = 0.25;
+  const EPISODE_UPDATE_MS = 5000;
+  const SINCE_KEYS = { no_face: 'noFaceSince', looking_away: 'lookingAwaySince', multiple_faces: 'multipleFacesSince' };
+
+  // Average face proportions, in units of the distance between the eyes
+  const NOSE_DEPTH = 0.6; // nose tip in front of the eye plane
+  const EYE_MOUTH = 1.0; // eye line to mouth centre
+  const NOSE_DROP = 0.5; // nose tip below the eye line, as a fraction of EYE_MOUTH, when facing the camera
+  const DEG = 180 / Math.PI;
+
+  const CALIBRATION_MIN_SAMPLES = 5;
+  const CALIBRATION_MIN_FACE_RATIO = 0.6; // share of frames that must show exactly one face
+  const CALIBRATION_MAX_SPREAD_DEG = 8; // standard deviation of yaw/pitch while holding still
+  const CALIBRATION_MAX_ANGLE_DEG = 60; // beyond this the landmarks are unreliable
+
+  // Any BlazeFace box shape → { x, y, w, h }, or null if unusable
+  function normalizeFaceBox(f) {
+    if (!f) return null;
+    let start = null, end = null;
+    if (Array.isArray(f.topLeft) && Array.isArray(f.topLeft[0])) {
+      // tensors converted with arraySync(): [[x, y]]
+      start = f.topLeft[0];
+      end = Array.isArray(f.bottomRight) && Array.isArray(f.bottomRight[0]) ? f.bottomRight[0] : null;
+    } else if (Array.isArray(f.topLeft) && Array.isArray(f.bottomRight)) {
+      start = f.topLeft; end = f.bottomRight;
+    } else if (Array.isArray(f.boundingBox) && f.boundingBox.length >= 4) {
+      start = [f.boundingBox[0], f.boundingBox[1]];
+      end = [f.boundingBox[0] + f.boundingBox[2], f.boundingBox[1] + f.boundingBox[3]];
+    } else if (Array.isArray(f.box) && f.box.length >= 4) {
+      start = [f.box[0], f.box[1]];
+      end = [f.box[0] + f.box[2], f.box[1] + f.box[3]];
+    }
+    if (!start || !end) return null;
+
+    const x = Number(start[0]), y = Number(start[1]);
+    const w = Number(end[0]) - x, h = Number(end[1]) - y;
+    if (!isFinite(x) || !isFinite(y) || !isFinite(w) || !isFinite(h) || w <= 0 || h <= 0) return null;
+    return { x, y, w, h };
+  }
+
+  // BlazeFace landmarks as [[x, y], ...], or null if there are fewer than the
+  // four the pose needs (eyes, nose, mouth)
+  function faceLandmarks(f) {
+    if (!f || !Array.isArray(f.landmarks) || f.landmarks.length < 4) return null;
+    const pts = f.landmarks.map(p => [Number(p[0]), Number(p[1])]);
+    return pts.slice(0, 4).every(p => isFinite(p[0]) && isFinite(p[1])) ? pts : null;
+  }
+
+  // Head orientation from the eyes, nose tip and mouth, in degrees:
+  //   yaw   > 0 when the nose points to the right of the image (the
+  //         candidate's left, on an unmirrored camera)
+  //   pitch > 0 when the head is tilted down
+  //   roll  angle of the eye line
+  // The nose tip sits in front of the eye plane, so turning the head moves it
+  // away from the eye midpoint: sideways by NOSE_DEPTH * sin(yaw) while the
+  // eyes close up by cos(yaw), and towards the mouth by NOSE_DEPTH * sin(pitch)
+  // while the eye-to-mouth distance shrinks by cos(pitch).
+  // Returns null if the landmarks are missing or degenerate.
+  function estimateHeadPose(landmarks) {
+    const pts = faceLandmarks({ landmarks });
+    if (!pts) return null;
+    let [eyeA, eyeB] = pts;
+    const nose = pts[2], mouth = pts[3];
+    if (eyeA[0] > eyeB[0]) [eyeA, eyeB] = [eyeB, eyeA];
+
+    const eyeDist = Math.hypot(eyeB[0] - eyeA[0], eyeB[1] - eyeA[1]);
+    if (!(eyeDist > 0)) return null;
+    const roll = Math.atan2(eyeB[1] - eyeA[1], eyeB[0] - eyeA[0]);
+    // rotate about the eye midpoint so the eye line is horizontal
+    const mx = (eyeA[0] + eyeB[0]) / 2, my = (eyeA[1] + eyeB[1]) / 2;
+    const cos = Math.cos(-roll), sin = Math.sin(-roll);
+    const level = p => [(p[0] - mx) * cos - (p[1] - my) * sin, (p[0] - mx) * sin + (p[1] - my) * cos];
+    const n = level(nose), m = level(mouth);
+    if (!(m[1] > 0)) return null;
+
+    const yaw = Math.atan2(n[0] / eyeDist, NOSE_DEPTH);
+    const pitch = Math.atan((n[1] / m[1] - NOSE_DROP) * EYE_MOUTH / NOSE_DEPTH);
+    return { yaw: yaw * DEG, pitch: pitch * DEG, roll: roll * DEG };
+  }
+
+  function median(values) {
+    const v = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(v.length / 2);
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+
+  function stddev(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return Math.sqrt(values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / values.length);
+  }
+
+  const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+  // Baseline from frames captured while the candidate looks at the screen.
+  // Returns { ok: true, baseline, samples, frames } or { ok: false, reason, samples, frames }.
+  // baseline: { yaw, pitch, roll } in degrees (null if the face model gave no
+  // landmarks), { centerX, centerY, faceWidth } as fractions of the frame size.
+  function computeBaseline(frames) {
+    const boxes = [], poses = [];
+    for (const frame of frames || []) {
+      const faces = (frame.faces || []).filter(f => normalizeFaceBox(f));
+      if (faces.length !== 1) continue;
+      const box = normalizeFaceBox(faces[0]);
+      boxes.push({
+        centerX: (box.x + box.w / 2) / frame.width,
+        centerY: (box.y + box.h / 2) / frame.height,
+        faceWidth: box.w / frame.width
+      });
+      const pose = estimateHeadPose(faces[0].landmarks);
+      if (pose) poses.push(pose);
+    }
+    const result = { samples: boxes.length, frames: (frames || []).length };
+    const fail = reason => ({ ok: false, reason, ...result });
+
+    if (boxes.length < CALIBRATION_MIN_SAMPLES || boxes.length < result.frames * CALIBRATION_MIN_FACE_RATIO) {
+      return fail('face not visible, or more than one face, for most of the calibration');
+    }
+    const baseline = {
+      yaw: null, pitch: null, roll: null,
+      centerX: round(median(boxes.map(b => b.centerX)), 3),
+      centerY: round(median(boxes.map(b => b.centerY)), 3),
+      faceWidth: round(median(boxes.map(b => b.faceWidth)), 3)
+    };
+    if (poses.length >= CALIBRATION_MIN_SAMPLES) {
+      const yaws = poses.map(p => p.yaw), pitches = poses.map(p => p.pitch);
+      if (stddev(yaws) > CALIBRATION_MAX_SPREAD_DEG || stddev(pitches) > CALIBRATION_MAX_SPREAD_DEG) {
+        return fail('head moved during calibration');
+      }
+      baseline.yaw = round(median(yaws), 1);
+      baseline.pitch = round(median(pitches), 1);
+      baseline.roll = round(median(poses.map(p => p.roll)), 1);
+      if (Math.abs(baseline.yaw) > CALIBRATION_MAX_ANGLE_DEG || Math.abs(baseline.pitch) > CALIBRATION_MAX_ANGLE_DEG) {
+        return fail('face turned too far from the camera');
+      }
+    }
+    return { ok: true, baseline, ...result };
+  }
+
+  function createDetector(settings, hooks) {
+    const cfg = { ...DEFAULTS, ...(settings || {}) };
+    const itemClasses = new Set([...(cfg.itemClasses || [])].map(c => String(c).toLowerCase()));
+    const isPaper = (hooks && hooks.isPaper) || (o => !!o.paper);
+    const baseline = (hooks && hooks.baseline) || null;
+    const neutralYaw = baseline && baseline.yaw != null ? baseline.yaw : 0;
+    const neutralPitch = baseline && baseline.pitch != null ? baseline.pitch : 0;
+    const state = { noFaceSince: null, lookingAwaySince: null, multipleFacesSince: null, episodes: {}, lastItemAt: {} };
+
+    // Drops open episodes without closing them; call finish() first to report them
+    function reset() {
+      for (const key of Object.values(SINCE_KEYS)) state[key] = null;
+      state.episodes = {};
+      state.lastItemAt = {};
+    }
+
+    function closeEpisode(type, t, extra) {
+      const ep = state.episodes[type];
+      delete state.episodes[type];
+      const detail = { episode: ep.id, phase: 'close', duration_ms: t - state[SINCE_KEYS[type]] };
+      if (type === 'multiple_faces') detail.max_count = ep.maxCount;
+      return { type, t, detail: { ...detail, ...extra } };
+    }
+
+    // Advance one condition by a frame. `active`: it holds on this frame;
+    // `minMs`: how long it must hold before the episode opens; `detail()`:
+    // extra fields for the open and update events.
+    function track(events, type, t, active, minMs, detail) {
+      const key = SINCE_KEYS[type];
+      const ep = state.episodes[type];
+      if (!active) {
+        if (ep) events.push(closeEpisode(type, t));
+        state[key] = null;
+        return;
+      }
+      if (state[key] == null) state[key] = t;
+      const duration = t - state[key];
+      if (!ep) {
+        if (duration <= minMs) return;
+        const id = `${type}-${state[key]}`;
+        const extra = detail();
+        state.episodes[type] = { id, reportedAt: t, maxCount: extra.count || 0 };
+        events.push({ type, t, detail: { episode: id, phase: 'open', duration_ms: duration, ...extra } });
+      } else {
+        const extra = detail();
+        ep.maxCount = Math.max(ep.maxCount, extra.count || 0);
+        if (t - ep.reportedAt < EPISODE_UPDATE_MS) return;
+        ep.reportedAt = t;
+        events.push({ type, t, detail: { episode: ep.id, phase: 'update', duration_ms: duration, ...extra } });
+      }
+    }
+
+    // Close every open episode (session stopped); returns their close events
+    function finish(t) {
+      return Object.keys(state.episodes).map(type => closeEpisode(type, t, { session_end: true }));
+    }
+
+    // 'left'/'right'/'up'/'down' from the candidate's point of view, by the
+    // larger excess over its limit
+    function direction(yaw, pitch) {
+      if (Math.abs(yaw) - cfg.maxYawDeg >= Math.abs(pitch) - cfg.maxPitchDeg) {
+        return yaw > 0 ? 'left' : 'right';
+      }
+      return pitch > 0 ? 'down' : 'up';
+    }
+
+    // Returns { events: [{ type, t, detail }], faces: [box], pose, objects: [{ ...obj, flagged, reason }], attention }
+    // `pose` is the largest face's estimateHeadPose result (null without landmarks)
+    function step(frame) {
+      const t = frame.t;
+      const events = [];
+      const faces = frame.faces || [];
+      const boxes = [];
+      let pose = null;
+
+      track(events, 'no_face', t, !faces.length, cfg.noFaceMs, () => ({}));
+
+      let away = false, awayDetail = {};
+      const attention = { face: faces.length > 0, single: faces.length === 1, oriented: false, x: null, y: null };
+      if (faces.length) {
+        let primary = null, primaryBox = null;
+        for (const f of faces) {
+          const box = normalizeFaceBox(f);
+          if (!box) continue;
+          boxes.push(box);
+          if (!primaryBox || box.w * box.h > primaryBox.w * primaryBox.h) { primary = f; primaryBox = box; }
+        }
+
+        if (primaryBox) {
+          pose = estimateHeadPose(primary.landmarks);
+          const yaw = pose ? pose.yaw - neutralYaw : 0;
+          const pitch = pose ? pose.pitch - neutralPitch : 0;
+          if (pose) {
+            away = Math.abs(yaw) > cfg.maxYawDeg || Math.abs(pitch) > cfg.maxPitchDeg;
+          } else {
+            const cx = baseline ? baseline.centerX * frame.width : frame.width / 2;
+            const cy = baseline ? baseline.centerY * frame.height : frame.height / 2;
+            // closer to the camera, the same head movement covers more pixels
+            const scale = baseline && baseline.faceWidth ? primaryBox.w / frame.width / baseline.faceWidth : 1;
+            const dx = Math.abs(primaryBox.x + primaryBox.w / 2 - cx);
+            const dy = Math.abs(primaryBox.y + primaryBox.h / 2 - cy);
+            away = Math.sqrt(dx * dx + dy * dy) > frame.width * cfg.lookAwayCenterRatio * scale;
+          }
+          attention.oriented = !away;
+          if (frame.width && frame.height) {
+            attention.x = (primaryBox.x + primaryBox.w / 2) / frame.width;
+            attention.y = (primaryBox.y + primaryBox.h / 2) / frame.height;
+          }
+          if (away && pose) {
+            awayDetail.yaw_deg = Math.round(pose.yaw);
+            awayDetail.pitch_deg = Math.round(pose.pitch);
+            if (baseline && baseline.yaw != null) {
+              awayDetail.yaw_offset_deg = Math.round(yaw);
+              awayDetail.pitch_offset_deg = Math.round(pitch);
+            }
+            awayDetail.direction = direction(yaw, pitch);
+          }
+        }
+      }
+      track(events, 'looking_away', t, away, cfg.faceLookAwayMs, () => awayDetail);
+      track(events, 'multiple_faces', t, faces.length > 1, 0, () => ({ count: faces.length }));
+
+      const objects = [];
+      for (const o of frame.objects || []) {
+        const cls = String(o.class).toLowerCase();
+        const score = Number(o.score || 0);
+        let reason = '';
+        if (itemClasses.has(cls) && score >= cfg.itemDetectionConfidence) reason = cls;
+        else if (cfg.detectPaper && score >= PAPER_MIN_SCORE && isPaper(o)) reason = 'paper/note (heuristic)';
+        objects.push({ ...o, flagged: !!reason, reason });
+
+        const last = state.lastItemAt[reason];
+        if (reason && (last == null || t - last > cfg.itemDebounceMs)) {
+          state.lastItemAt[reason] = t;
+          events.push({ type: 'object_detected', t, detail: { object: reason, model_class: o.class, score: score.toFixed(2), bbox: o.bbox } });
+        }
+      }
+
+      return { events, faces: boxes, pose, objects, attention };
+    }
+
+    return { step, finish, reset, state, config: cfg, baseline };
+  }
+
+  return { DEFAULTS, normalizeFaceBox, faceLandmarks, estimateHeadPose, computeBaseline, createDetector };
+});
@@ -0,0 +1,144 @@
+/* public/face-signature.js
+   Face similarity without a recognition model, shared by the browser
+   (window.FaceSignature) and Node (require), like detection-core.js.
+
+   describe(image, landmarks) crops the face, aligned on the eyes from the
+   BlazeFace landmarks, to a SIZE x SIZE grayscale patch and returns its
+   texture signature: uniform local binary pattern (LBP) histograms over a
+   GRID x GRID grid of cells. LBP only compares each pixel with its
+   neighbours, so it is insensitive to overall brightness and contrast.
+   similarity(a, b) is the mean histogram intersection of two signatures:
+   1 for identical faces, lower the more they differ.
+
+   `image` is ImageData-shaped: { data: RGBA bytes, width, height }.
+
+   createIdentityMonitor({ threshold, confirmations }) turns a series of
+   similarity checks into identity_mismatch events: one per run of
+   `confirmations` or more consecutive checks below `threshold`.
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FaceSignature = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SIZE = 64;
+  const GRID = 4;
+  const EYE_Y = 0.35; // eye line, as a fraction of SIZE from the top
+  const EYE_SPAN = 0.4; // distance between the eyes, as a fraction of SIZE
+  const BINS = 59; // 58 uniform patterns + 1 for the rest
+  const LENGTH = GRID * GRID * BINS;
+
+  // 8-bit LBP code -> histogram bin (uniform = at most 2 bit transitions)
+  const UNIFORM = (() => {
+    const table = new Uint8Array(256);
+    let next = 0;
+    for (let code = 0; code < 256; code++) {
+      let transitions = 0;
+      for (let i = 0; i < 8; i++) {
+        if (((code >> i) & 1) !== ((code >> ((i + 1) % 8)) & 1)) transitions++;
+      }
+      table[code] = transitions <= 2 ? next++ : BINS - 1;
+    }
+    return table;
+  })();
+
+  function luminance(image, x, y) {
+    const cx = Math.min(image.width - 1, Math.max(0, x));
+    const cy = Math.min(image.height - 1, Math.max(0, y));
+    const i = (cy * image.width + cx) * 4;
+    return 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+  }
+
+  // Eye-aligned grayscale patch (Float32Array of SIZE * SIZE), or null
+  function alignedPatch(image, landmarks) {
+    if (!image || !Array.isArray(landmarks) || landmarks.length < 2) return null;
+    let a = landmarks[0].map(Number), b = landmarks[1].map(Number);
+    if (a[0] > b[0]) [a, b] = [b, a];
+    const eyeDist = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (!(eyeDist > 4)) return null;
+
+    const scale = eyeDist / (EYE_SPAN * SIZE); // source pixels per patch pixel
+    const angle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+    const cos = Math.cos(angle) * scale, sin = Math.sin(angle) * scale;
+    const mx = (a[0] + b[0]) / 2, my = (a[1] + b[1]) / 2;
+    const patch = new Float32Array(SIZE * SIZE);
+    for (let v = 0; v < SIZE; v++) {
+      for (let u = 0; u < SIZE; u++) {
+        const dx = u - SIZE / 2, dy = v - EYE_Y * SIZE;
+        const sx = mx + dx * cos - dy * sin;
+        const sy = my + dx * sin + dy * cos;
+        // bilinear sample
+        const x0 = Math.floor(sx), y0 = Math.floor(sy);
+        const fx = sx - x0, fy = sy - y0;
+        patch[v * SIZE + u] =
+          luminance(image, x0, y0) * (1 - fx) * (1 - fy) + luminance(image, x0 + 1, y0) * fx * (1 - fy) +
+          luminance(image, x0, y0 + 1) * (1 - fx) * fy + luminance(image, x0 + 1, y0 + 1) * fx * fy;
+      }
+    }
+    return patch;
+  }
+
+  // Signature of the face with these landmarks: LENGTH numbers, each cell's
+  // histogram summing to 1. null if the eyes are missing or too close.
+  function describe(image, landmarks) {
+    const patch = alignedPatch(image, landmarks);
+    if (!patch) return null;
+    const hist = new Float32Array(LENGTH);
+    const counts = new Uint32Array(GRID * GRID);
+    const inner = SIZE - 2;
+    for (let y = 1; y < SIZE - 1; y++) {
+      for (let x = 1; x < SIZE - 1; x++) {
+        const c = patch[y * SIZE + x];
+        const p = (dx, dy) => (patch[(y + dy) * SIZE + x + dx] >= c ? 1 : 0);
+        const code = p(-1, -1) | p(0, -1) << 1 | p(1, -1) << 2 | p(1, 0) << 3 |
+          p(1, 1) << 4 | p(0, 1) << 5 | p(-1, 1) << 6 | p(-1, 0) << 7;
+        const cell = Math.floor((y - 1) * GRID / inner) * GRID + Math.floor((x - 1) * GRID / inner);
+        hist[cell * BINS + UNIFORM[code]]++;
+        counts[cell]++;
+      }
+    }
+    const out = new Array(LENGTH);
+    for (let i = 0; i < LENGTH; i++) out[i] = Math.round(hist[i] / counts[Math.floor(i / BINS)] * 1e4) / 1e4;
+    return out;
+  }
+
+  function isSignature(s) {
+    return Array.isArray(s) && s.length === LENGTH && s.every(v => typeof v === 'number' && v >= 0 && v <= 1);
+  }
+
+  // Mean histogram intersection over the cells, 0..1
+  function similarity(a, b) {
+    if (!isSignature(a) || !isSignature(b)) return 0;
+    let sum = 0;
+    for (let i = 0; i < LENGTH; i++) sum += Math.min(a[i], b[i]);
+    return Math.round(sum / (GRID * GRID) * 1000) / 1000;
+  }
+
+  // Element-wise mean of several signatures (enrollment from a few frames)
+  function average(signatures) {
+    const list = (signatures || []).filter(isSignature);
+    if (!list.length) return null;
+    const out = new Array(LENGTH).fill(0);
+    for (const s of list) for (let i = 0; i < LENGTH; i++) out[i] += s[i] / list.length;
+    return out.map(v => Math.round(v * 1e4) / 1e4);
+  }
+
+  function createIdentityMonitor(opts) {
+    const threshold = opts.threshold;
+    const confirmations = opts.confirmations || 2;
+    let run = []; // similarities of the current run of failed checks
+    let reported = false;
+
+    // Feed one check; returns the identity_mismatch detail to log, or null
+    function check(score) {
+      if (score >= threshold) { run = []; reported = false; return null; }
+      run.push(score);
+      if (reported || run.length < confirmations) return null;
+      reported = true;
+      return { similarity: Math.min(...run), threshold, checks: run.length, against: 'enrollment' };
+    }
+
+    return { check };
+  }
+
+  return { SIZE, LENGTH, describe, similarity, average, isSignature, createIdentityMonitor };
+});
@@ -0,0 +1,193 @@
+/* public/inference.js
+   Runs the face and object models. Loaded two ways:
+   - as the page's detection worker (new Worker('/inference.js')), so
+     inference stays off the main thread: app.js sends it video frames as
+     ImageBitmaps and gets the model output back;
+   - as a plain script (window.Inference), the fallback when the browser
+     cannot run the worker. app.js then calls the same functions directly.
+
+   Backends: 'auto' tries BACKENDS in order (WebGL, WASM, CPU) and keeps the
+   first that initializes; a named backend falls back to CPU.
+
+   createPacer() and createTelemetry() hold no model state; app.js uses them
+   to adapt the detection rate to the measured inference time and to report
+   fps, inference time and dropped frames for the session.
+
+   Worker messages (each carries an id; the reply has the same id, plus
+   `error` if it failed):
+     { type: 'init', scripts, backend, models } -> { backend, face, objects }
+     { type: 'backend', backend }               -> { backend }
+     { type: 'detect', frame: ImageBitmap, faces, objects }
+                                                -> { faces, objects, faceMs, objectMs }
+*/
+(function (root, factory) {
+  const api = factory(root);
+  const inWorker = typeof WorkerGlobalScope !== 'undefined' && root instanceof WorkerGlobalScope;
+  if (inWorker) api.serve(root);
+  else root.Inference = api;
+})(self, function (root) {
+  const BACKENDS = ['webgl', 'wasm', 'cpu'];
+  const WASM_PATH = '/vendor/tfjs-backend-wasm@3.21.0/';
+
+  // Adaptive rate: inference may take up to 1/HEADROOM of the time between
+  // frames, and object detection up to 1/OBJECT_HEADROOM of the wall clock
+  const HEADROOM = 2;
+  const OBJECT_HEADROOM = 5;
+  const MAX_INTERVAL_MS = 2000;
+  const OBJECT_MIN_INTERVAL_MS = 1000;
+  const OBJECT_MAX_INTERVAL_MS = 5000;
+  const EMA_ALPHA = 0.2;
+
+  let faceModel = null;
+  let objModel = null;
+
+  async function selectBackend(preference) {
+    const tf = root.tf;
+    const order = !preference || preference === 'auto' ? BACKENDS : [preference, 'cpu'];
+    for (const name of order) {
+      try {
+        if (name === 'wasm') {
+          if (!tf.wasm) continue; // tf-backend-wasm.min.js not loaded
+          tf.wasm.setWasmPaths(WASM_PATH);
+        }
+        if (await tf.setBackend(name)) {
+          await tf.ready();
+          return name;
+        }
+      } catch (e) {
+        console.warn('TF backend unavailable', name, e);
+      }
+    }
+    return tf.getBackend();
+  }
+
+  // models: { blazeface, 'coco-ssd' } self-hosted model.json URLs (null = CDN)
+  async function loadModels(models) {
+    try {
+      faceModel = await root.blazeface.load(models.blazeface ? { modelUrl: models.blazeface } : undefined);
+    } catch (e) {
+      faceModel = null;
+      console.warn('BlazeFace load failed', e);
+    }
+    try {
+      objModel = await root.cocoSsd.load(models['coco-ssd'] ? { base: 'lite_mobilenet_v2', modelUrl: models['coco-ssd'] } : undefined);
+    } catch (e) {
+      objModel = null;
+      console.warn('COCO-SSD load failed', e);
+    }
+    // the first inference compiles the backend's kernels; keep it out of the measurements
+    try {
+      await run(root.tf.zeros([128, 128, 3], 'int32'), { faces: true, objects: true });
+    } catch (e) {
+      console.warn('model warm-up failed', e);
+    }
+    return { face: !!faceModel, objects: !!objModel };
+  }
+
+  // Run the requested models on one image (video, canvas, ImageBitmap or a
+  // tensor, which is disposed). objects is undefined when not requested.
+  async function run(input, opts) {
+    const tf = root.tf;
+    const pixels = input instanceof tf.Tensor ? input : tf.browser.fromPixels(input);
+    const out = { faces: [], objects: undefined, faceMs: null, objectMs: null };
+    try {
+      if (opts.faces && faceModel) {
+        const t0 = performance.now();
+        out.faces = await faceModel.estimateFaces(pixels, false);
+        out.faceMs = performance.now() - t0;
+      }
+      if (opts.objects && objModel) {
+        const t0 = performance.now();
+        out.objects = await objModel.detect(pixels);
+        out.objectMs = performance.now() - t0;
+      }
+    } finally {
+      pixels.dispose();
+    }
+    return out;
+  }
+
+  // Worker side: replies { id, ...result } or { id, error } to each message
+  function serve(scope) {
+    let queue = Promise.resolve(); // one message at a time, in order
+    scope.onmessage = (e) => {
+      const msg = e.data;
+      queue = queue.then(() => handle(msg)).then(
+        reply => scope.postMessage({ id: msg.id, ...reply }),
+        err => scope.postMessage({ id: msg.id, error: String((err && err.message) || err) })
+      );
+    };
+
+    async function handle(msg) {
+      if (msg.type === 'init') {
+        scope.importScripts(...msg.scripts);
+        const backend = await selectBackend(msg.backend);
+        return { backend, ...await loadModels(msg.models || {}) };
+      }
+      if (msg.type === 'backend') return { backend: await selectBackend(msg.backend) };
+      if (msg.type === 'detect') {
+        try {
+          return await run(msg.frame, msg);
+        } finally {
+          msg.frame.close();
+        }
+      }
+      throw new Error(`unknown message ${msg.type}`);
+    }
+  }
+
+  // Detection interval from the measured inference time: fast enough for
+  // maxFps when inference is quick, slower (down to one frame per
+  // MAX_INTERVAL_MS) when it is not. Object detection gets its own interval.
+  function createPacer({ maxFps }) {
+    const minInterval = 1000 / Math.max(1, maxFps || 15);
+    let faceMs = null, objectMs = null;
+    const ema = (prev, v) => (prev == null ? v : prev + EMA_ALPHA * (v - prev));
+
+    return {
+      record(result) {
+        if (result.faceMs != null) faceMs = ema(faceMs, result.faceMs);
+        if (result.objectMs != null) objectMs = ema(objectMs, result.objectMs);
+      },
+      interval() {
+        return Math.min(MAX_INTERVAL_MS, Math.max(minInterval, (faceMs || 0) * HEADROOM));
+      },
+      objectInterval() {
+        return Math.min(OBJECT_MAX_INTERVAL_MS, Math.max(OBJECT_MIN_INTERVAL_MS, (objectMs || 0) * OBJECT_HEADROOM));
+      }
+    };
+  }
+
+  // Per-window counters; take() returns the window's sample and starts the next
+  function createTelemetry() {
+    let w = null;
+    const reset = (t) => { w = { from: t, frames: 0, dropped: 0, faceMs: 0, faceRuns: 0, objectMs: 0, objectRuns: 0 }; };
+    const round = (v) => Math.round(v * 10) / 10;
+    reset(Date.now());
+
+    return {
+      frame(result) {
+        w.frames++;
+        if (result.faceMs != null) { w.faceMs += result.faceMs; w.faceRuns++; }
+        if (result.objectMs != null) { w.objectMs += result.objectMs; w.objectRuns++; }
+      },
+      drop() { w.dropped++; },
+      take(t, extra) {
+        const sample = {
+          from: new Date(w.from).toISOString(),
+          to: new Date(t).toISOString(),
+          frames: w.frames,
+          dropped: w.dropped,
+          faceMs: w.faceRuns ? round(w.faceMs / w.faceRuns) : null,
+          objectMs: w.objectRuns ? round(w.objectMs / w.objectRuns) : null,
+          objectFrames: w.objectRuns,
+          ...extra
+        };
+        reset(t);
+        return sample;
+      }
+    };
+  }
+
+  return { BACKENDS, WASM_PATH, selectBackend, loadModels, run, serve, createPacer, createTelemetry };
+});
@@ -0,0 +1,31 @@
+/* public/login.js
+   Staff sign-in: POST /api/auth/login sets the auth cookie, then returns to
+   the page that asked for it (?next=, default /review).
+*/
+
+const form = document.getElementById('loginForm');
+const status = document.getElementById('status');
+
+function nextUrl() {
+  const next = new URLSearchParams(location.search).get('next') || '/review';
+  // same-origin paths only
+  return next.startsWith('/') && !next.startsWith('//') ? next : '/review';
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  status.textContent = 'Signing in...';
+  try {
+    const resp = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: form.username.value, password: form.password.value })
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || `status ${resp.status}`);
+    location.href = nextUrl();
+  } catch (err) {
+    console.error('login failed', err);
+    status.textContent = `Sign-in failed: ${err.message}`;
+  }
+});
@@ -0,0 +1,147 @@
+/* public/outbox.js
+   Durable event outbox for the candidate page:
+   - Every event gets a per-session sequence number (seq 1, 2, 3...) and is
+     written to IndexedDB before it is sent, so events logged while the
+     network is down (or just before the page is closed) survive and are
+     delivered later. The server ignores a seq it already has, so sending an
+     event twice is harmless.
+   - Entries are sent oldest first. A transient failure (network, 5xx, 408,
+     429) stops the flush and retries with exponential backoff; any other
+     4xx drops the entry, since the server will never take it.
+   - Without IndexedDB (some private modes) the outbox is kept in memory:
+     retries still work, but a reload loses what was not sent.
+   createOutbox({ send }) -> { resume, add, save, flush, lastSeq, pending }
+   send(entry, save) delivers one entry and resolves 'sent' or 'rejected', or
+   throws to retry later; save(entry) persists changes made along the way.
+*/
+
+const OUTBOX_DB = 'proctoring-outbox';
+const OUTBOX_RETRY_MIN_MS = 1000;
+const OUTBOX_RETRY_MAX_MS = 30000;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// IndexedDB store: events keyed by [sessionId, seq], last seq per session
+async function openOutboxDb() {
+  if (typeof indexedDB === 'undefined') return null;
+  try {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('events', { keyPath: ['sessionId', 'seq'] });
+      req.result.createObjectStore('counters', { keyPath: 'sessionId' });
+    };
+    const db = await idbRequest(req);
+    const tx = (stores, mode, fn) => new Promise((resolve, reject) => {
+      const t = db.transaction(stores, mode);
+      let result;
+      Promise.resolve(fn(t)).then(r => { result = r; });
+      t.oncomplete = () => resolve(result);
+      t.onerror = t.onabort = () => reject(t.error);
+    });
+    return {
+      getSeq: (sessionId) => tx(['counters'], 'readonly', t => idbRequest(t.objectStore('counters').get(sessionId)).then(c => (c ? c.seq : 0))),
+      put: (entry) => tx(['events', 'counters'], 'readwrite', t => {
+        t.objectStore('events').put(entry);
+        t.objectStore('counters').put({ sessionId: entry.sessionId, seq: entry.seq });
+      }),
+      update: (entry) => tx(['events'], 'readwrite', t => { t.objectStore('events').put(entry); }),
+      remove: (entry) => tx(['events'], 'readwrite', t => { t.objectStore('events').delete([entry.sessionId, entry.seq]); }),
+      oldest: () => tx(['events'], 'readonly', t => idbRequest(t.objectStore('events').openCursor()).then(c => (c ? c.value : null))),
+      count: (sessionId) => tx(['events'], 'readonly', t => idbRequest(
+        t.objectStore('events').count(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]))
+      ))
+    };
+  } catch (e) {
+    console.warn('IndexedDB unavailable; keeping the event outbox in memory', e);
+    return null;
+  }
+}
+
+function memoryOutboxStore() {
+  const events = new Map(); // `${sessionId}\n${seq}` -> entry, in insertion (= seq) order
+  const counters = new Map();
+  const key = (e) => `${e.sessionId}\n${e.seq}`;
+  return {
+    getSeq: async (sessionId) => counters.get(sessionId) || 0,
+    put: async (entry) => { events.set(key(entry), entry); counters.set(entry.sessionId, entry.seq); },
+    update: async (entry) => { events.set(key(entry), entry); },
+    remove: async (entry) => { events.delete(key(entry)); },
+    oldest: async () => events.values().next().value || null,
+    count: async (sessionId) => [...events.values()].filter(e => e.sessionId === sessionId).length
+  };
+}
+
+function createOutbox({ send }) {
+  const storeReady = openOutboxDb().then(db => db || memoryOutboxStore());
+  const seqs = new Map(); // sessionId -> last seq handed out
+  let flushing = null;
+  let flushAgain = false; // an entry was added after the running flush looked
+  let retryMs = OUTBOX_RETRY_MIN_MS;
+  let retryTimer = null;
+
+  // Continue numbering after the last seq stored here or, if this browser
+  // lost its outbox, after the highest the server has (`serverSeq`)
+  async function resume(sessionId, serverSeq = 0) {
+    const store = await storeReady;
+    seqs.set(sessionId, Math.max(await store.getSeq(sessionId), serverSeq || 0, seqs.get(sessionId) || 0));
+  }
+
+  // Number the entry (entry.seq is set before this returns, so a beacon can
+  // carry it), store it and start a flush. Resolves once it is stored.
+  function add(entry) {
+    const seq = (seqs.get(entry.sessionId) || 0) + 1;
+    seqs.set(entry.sessionId, seq);
+    entry.seq = seq;
+    return storeReady.then(store => store.put(entry)).then(() => { flush(); });
+  }
+
+  async function save(entry) {
+    await (await storeReady).update(entry);
+  }
+
+  async function drain() {
+    const store = await storeReady;
+    for (;;) {
+      const entry = await store.oldest();
+      if (!entry) { retryMs = OUTBOX_RETRY_MIN_MS; return true; }
+      let outcome;
+      try {
+        outcome = await send(entry, save);
+      } catch (e) {
+        console.warn(`outbox: delivery failed, retrying in ${retryMs} ms`, e);
+        retryTimer = setTimeout(flush, retryMs);
+        retryMs = Math.min(OUTBOX_RETRY_MAX_MS, retryMs * 2);
+        return false;
+      }
+      if (outcome === 'rejected') console.warn('outbox: event rejected, dropping', entry.sessionId, entry.seq, entry.type);
+      await store.remove(entry);
+    }
+  }
+
+  // Send everything stored; resolves true when the outbox is empty, false if
+  // a retry is scheduled. Concurrent calls share one flush.
+  function flush() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (flushing) { flushAgain = true; return flushing; }
+    flushing = drain().finally(() => {
+      flushing = null;
+      if (flushAgain) { flushAgain = false; flush(); }
+    });
+    return flushing;
+  }
+
+  return {
+    resume,
+    add,
+    save,
+    flush,
+    lastSeq: (sessionId) => seqs.get(sessionId) || 0,
+    pending: async (sessionId) => (await storeReady).count(sessionId)
+  };
+}
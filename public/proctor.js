@@ -0,0 +1,225 @@
+/* public/proctor.js
+   Live proctor console:
+   - One card per active session (from /api/sessions), with a checkbox to pick
+     which sessions to watch
+   - Subscribes to /api/live (SSE) and appends each event to its session card
+     as it is stored; detection_telemetry only updates the card's detection
+     rate line, and attention_sample its focus line (share of the last
+     window's seconds the candidate was focused)
+   - Sends warnings / terminate commands to the candidate page
+     (POST /api/sessions/:id/commands)
+   - Invites a candidate: creates a session with the chosen exam profile,
+     attaches the optional reference photo and shows the single-use invite
+     link (POST /api/sessions, PUT /api/sessions/:id/identity/reference)
+   Requires a proctor/admin sign-in (see staff.js).
+*/
+
+const FLAGGED_TYPES = new Set([
+  'looking_away', 'no_face', 'multiple_faces', 'object_detected',
+  'sustained_speech', 'speech_without_face',
+  'tab_hidden', 'window_blur', 'fullscreen_exit', 'clipboard_attempt', 'page_unload',
+  'identity_mismatch'
+]);
+const MAX_CARD_EVENTS = 200;
+
+const cardsEl = document.getElementById('cards');
+const status = document.getElementById('status');
+const watchAll = document.getElementById('watchAll');
+const watchBtn = document.getElementById('watchBtn');
+const inviteForm = document.getElementById('inviteForm');
+const inviteProfile = document.getElementById('inviteProfile');
+const inviteLink = document.getElementById('inviteLink');
+
+let source = null;
+const cards = new Map(); // sessionId -> { root, list, presence, perf, focus, checkbox }
+
+function uiStatus(msg) {
+  if (status) status.textContent = msg;
+  console.log('[STATUS]', msg);
+}
+
+async function sendCommand(sessionId, type, message) {
+  try {
+    const resp = await staffFetch(`/api/sessions/${encodeURIComponent(sessionId)}/commands`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, message })
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || `status ${resp.status}`);
+    uiStatus(`${type} ${body.queued ? 'queued (candidate offline)' : 'delivered'} → ${sessionId.slice(0, 8)}`);
+  } catch (e) {
+    console.error('sendCommand failed', e);
+    uiStatus(`Failed to send ${type}: ${e.message}`);
+  }
+}
+
+function ensureCard(s) {
+  if (cards.has(s.id)) return cards.get(s.id);
+  const root = document.createElement('div');
+  root.className = 'proctor-card';
+
+  const h = document.createElement('h4');
+  const title = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox'; checkbox.checked = true;
+  title.appendChild(checkbox);
+  title.appendChild(document.createTextNode(` ${s.candidateName} · ${s.id.slice(0, 8)}`));
+  const presence = document.createElement('span');
+  presence.className = 'presence';
+  h.appendChild(title); h.appendChild(presence);
+  const perf = document.createElement('div');
+  perf.className = 'perf';
+  const focus = document.createElement('div');
+  focus.className = 'perf';
+
+  const list = document.createElement('ul');
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const input = document.createElement('input');
+  input.placeholder = 'Warning message';
+  const warnBtn = document.createElement('button');
+  warnBtn.type = 'button'; warnBtn.textContent = 'Warn';
+  warnBtn.onclick = () => { if (input.value.trim()) sendCommand(s.id, 'warning', input.value.trim()); input.value = ''; };
+  const termBtn = document.createElement('button');
+  termBtn.type = 'button'; termBtn.textContent = 'Terminate';
+  termBtn.onclick = () => { if (confirm(`Terminate ${s.candidateName}'s session?`)) sendCommand(s.id, 'terminate'); };
+  actions.appendChild(input); actions.appendChild(warnBtn); actions.appendChild(termBtn);
+
+  root.appendChild(h); root.appendChild(perf); root.appendChild(focus); root.appendChild(list); root.appendChild(actions);
+  cardsEl.prepend(root);
+  const card = { root, list, presence, perf, focus, checkbox };
+  cards.set(s.id, card);
+  return card;
+}
+
+function updateCard(s) {
+  const card = ensureCard(s);
+  card.root.classList.toggle('closed', s.status === 'closed');
+  if (s.connected !== undefined) setPresence(s.id, s.connected);
+}
+
+function setPresence(sessionId, connected) {
+  const card = cards.get(sessionId);
+  if (!card) return;
+  card.presence.textContent = connected ? '● live' : '○ offline';
+  card.presence.classList.toggle('on', !!connected);
+}
+
+function appendEvent(entry) {
+  const card = cards.get(entry.sessionId);
+  if (!card) return;
+  if (entry.type === 'detection_telemetry') {
+    const d = entry.detail || {};
+    const secs = (new Date(d.to) - new Date(d.from)) / 1000;
+    const fps = secs > 0 ? Math.round(d.frames / secs * 10) / 10 : 0;
+    card.perf.textContent = `Detection: ${d.backend}${d.worker ? '' : ' (main thread)'}, ${fps} fps, ${d.dropped} dropped`;
+    return;
+  }
+  if (entry.type === 'attention_sample') {
+    const seconds = String((entry.detail && entry.detail.seconds) || '');
+    const measured = seconds.replace(/-/g, '').length;
+    const focused = seconds.split('F').length - 1;
+    card.focus.textContent = measured
+      ? `Focus: ${Math.round((focused / measured) * 100)}% of the last ${seconds.length}s`
+      : 'Focus: not measured';
+    return;
+  }
+  const li = document.createElement('li');
+  if (FLAGGED_TYPES.has(entry.type)) li.className = 'flagged';
+  const time = new Date(entry.timestamp || entry.receivedAt).toLocaleTimeString();
+  li.textContent = `[${time}] ${entry.type} — ${JSON.stringify(entry.detail || {})}`;
+  card.list.prepend(li);
+  while (card.list.children.length > MAX_CARD_EVENTS) card.list.lastChild.remove();
+}
+
+function subscribe() {
+  if (source) source.close();
+  const ids = watchAll.checked ? [] : [...cards.entries()].filter(([, c]) => c.checkbox.checked).map(([id]) => id);
+  if (!watchAll.checked && !ids.length) { uiStatus('Select at least one session'); return; }
+  const qs = ids.length ? `?sessions=${ids.map(encodeURIComponent).join(',')}` : '';
+  source = new EventSource(`/api/live${qs}`);
+  source.addEventListener('ready', () => uiStatus(`Watching ${ids.length ? ids.length + ' session(s)' : 'all sessions'}`));
+  source.addEventListener('event', (e) => appendEvent(JSON.parse(e.data)));
+  source.addEventListener('session', (e) => updateCard(JSON.parse(e.data)));
+  source.addEventListener('presence', (e) => {
+    const p = JSON.parse(e.data);
+    setPresence(p.sessionId, p.connected);
+  });
+  source.onerror = () => uiStatus('Live channel interrupted — reconnecting...');
+}
+
+async function loadActiveSessions() {
+  try {
+    const resp = await staffFetch('/api/sessions');
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const list = await resp.json();
+    for (const s of list.filter(x => x.status !== 'closed').reverse()) updateCard(s);
+  } catch (e) {
+    console.error('loadActiveSessions failed', e);
+    uiStatus('Failed to load sessions');
+  }
+}
+
+async function loadProfiles() {
+  try {
+    const resp = await staffFetch('/api/exam-profiles');
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const profiles = await resp.json();
+    inviteProfile.innerHTML = '';
+    for (const p of profiles) {
+      const opt = document.createElement('option');
+      opt.value = p.id; opt.textContent = p.title;
+      inviteProfile.appendChild(opt);
+    }
+    const def = profiles.find(p => p.default);
+    if (def) inviteProfile.value = def.id;
+  } catch (e) {
+    console.error('loadProfiles failed', e);
+    uiStatus('Failed to load exam profiles');
+  }
+}
+
+// The invite token is only returned here, once; the link must be passed on now
+async function createInvite(e) {
+  e.preventDefault();
+  try {
+    const resp = await staffFetch('/api/sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ candidateName: inviteForm.candidateName.value, profile: inviteProfile.value })
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || `status ${resp.status}`);
+    const photo = inviteForm.referencePhoto.files[0];
+    if (photo) {
+      const ref = await staffFetch(`/api/sessions/${encodeURIComponent(body.id)}/identity/reference`, {
+        method: 'PUT',
+        headers: { 'Content-Type': photo.type },
+        body: photo
+      });
+      if (!ref.ok) uiStatus(`Reference photo upload failed (${ref.status})`);
+      else body.identity = await ref.json();
+    }
+    inviteLink.value = new URL(body.inviteUrl, location.origin).href;
+    inviteLink.hidden = false;
+    inviteLink.select();
+    inviteForm.candidateName.value = '';
+    inviteForm.referencePhoto.value = '';
+    updateCard(body);
+    uiStatus(`Invite created for ${body.candidateName}`);
+  } catch (err) {
+    console.error('createInvite failed', err);
+    uiStatus(`Failed to create invite: ${err.message}`);
+  }
+}
+
+inviteForm.addEventListener('submit', createInvite);
+watchBtn.addEventListener('click', subscribe);
+watchAll.addEventListener('change', subscribe);
+window.addEventListener('load', async () => {
+  await loadActiveSessions();
+  loadProfiles();
+  subscribe();
+});
@@ -0,0 +1,338 @@
+/* public/review.js
+   Reviewer dashboard:
+   - Lists sessions from /api/sessions, grouped under their exam (/api/exams)
+     with links to each exam's summary report
+   - Plays the session recording; a recording in several segments (the
+     recorder restarted after a reload) plays them in turn, each placed on
+     the timeline at the time it started
+   - Draws a timeline with a marker per flagged event; clicking a marker (or an
+     event in the list) seeks the video to that moment
+   - Shows the evidence snapshot captured with each flagged event, and the
+     candidate's enrollment images next to the proctor's reference photo
+   - Shades the timeline where detection coverage was degraded (low frame
+     rate or dropped frames, summarized by the server from the
+     detection_telemetry events, which are not listed)
+   - Shows the share of the session the candidate was focused (from the
+     attention_sample events, also not listed)
+   Requires a proctor/admin sign-in (see staff.js).
+   Event offsets are measured from the session_start event (falling back to the
+   session's startedAt), which is when recording began.
+*/
+
+const MARKER_TYPES = new Set([
+  'looking_away', 'no_face', 'multiple_faces', 'object_detected',
+  'sustained_speech', 'speech_without_face',
+  'tab_hidden', 'window_blur', 'fullscreen_exit', 'clipboard_attempt', 'page_unload',
+  'identity_mismatch'
+]);
+
+const sessionsList = document.getElementById('sessions');
+const sessionInfo = document.getElementById('sessionInfo');
+const player = document.getElementById('player');
+const timeline = document.getElementById('timeline');
+const playhead = document.getElementById('playhead');
+const eventsList = document.getElementById('events');
+const reportLinks = document.getElementById('reportLinks');
+const identityBox = document.getElementById('identity');
+
+let current = null; // { session, originMs, durationSec, segments, segment, pendingSeek }
+
+function fmtOffset(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  const mm = Math.floor(s / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return `${mm}:${ss}`;
+}
+
+// Seconds from recording start to the event. Duration-bearing events are
+// logged when the threshold is crossed, so seek back to when the condition began.
+function eventOffsetSec(ev, originMs) {
+  let t = new Date(ev.timestamp).getTime() - originMs;
+  const dur = Number(ev.detail && ev.detail.duration_ms);
+  if (isFinite(dur) && dur > 0) t -= dur;
+  return Math.max(0, t / 1000);
+}
+
+// Recording segments with their start on the session timeline (seconds)
+function videoSegments(s, originMs) {
+  if (!s.video) return [];
+  return s.video.segments.map(seg => ({
+    path: seg.path,
+    offsetSec: seg.startedAt ? Math.max(0, (new Date(seg.startedAt).getTime() - originMs) / 1000) : 0
+  }));
+}
+
+function timelineDuration() {
+  if (!current) return 0;
+  if (current.segments.length > 1) {
+    const seg = current.segments[current.segment];
+    const end = isFinite(player.duration) && player.duration > 0 ? seg.offsetSec + player.duration : 0;
+    return Math.max(current.durationSec, end);
+  }
+  if (isFinite(player.duration) && player.duration > 0) return player.duration;
+  return current.durationSec;
+}
+
+// Session time of the playhead
+function playheadSec() {
+  const seg = current && current.segments[current.segment];
+  return (seg ? seg.offsetSec : 0) + player.currentTime;
+}
+
+function loadSegment(i, localSec) {
+  current.segment = i;
+  current.pendingSeek = localSec;
+  player.src = current.segments[i].path;
+}
+
+// Seek to `sec` of the session, in the segment recording at that time
+function seek(sec) {
+  if (current && current.segments.length > 1) {
+    let i = 0;
+    current.segments.forEach((seg, n) => { if (seg.offsetSec <= sec) i = n; });
+    const local = Math.max(0, sec - current.segments[i].offsetSec);
+    if (i !== current.segment) {
+      loadSegment(i, local);
+      player.play().catch(() => {});
+      return;
+    }
+    sec = local;
+  }
+  player.currentTime = sec;
+  player.play().catch(() => {});
+}
+
+function drawTimeline() {
+  timeline.querySelectorAll('.marker, .degraded').forEach(m => m.remove());
+  if (!current) return;
+  const total = timelineDuration();
+  if (!total) return;
+  for (const p of (current.session.telemetry && current.session.telemetry.degraded) || []) {
+    const from = Math.max(0, (new Date(p.from).getTime() - current.originMs) / 1000);
+    const to = Math.max(from, (new Date(p.to).getTime() - current.originMs) / 1000);
+    const band = document.createElement('div');
+    band.className = 'degraded';
+    band.style.left = `${Math.min(100, (from / total) * 100)}%`;
+    band.style.width = `${Math.min(100, ((to - from) / total) * 100)}%`;
+    band.title = `${fmtOffset(from)}–${fmtOffset(to)} detection degraded: ${p.fps} fps, ${p.dropped} dropped (${p.reason})`;
+    timeline.appendChild(band);
+  }
+  for (const ev of current.session.events) {
+    if (!MARKER_TYPES.has(ev.type)) continue;
+    // one marker per incident: episode updates and closes continue the open event
+    if (ev.detail && ev.detail.phase && ev.detail.phase !== 'open') continue;
+    const off = eventOffsetSec(ev, current.originMs);
+    const m = document.createElement('div');
+    m.className = `marker marker-${ev.type}`;
+    m.style.left = `${Math.min(100, (off / total) * 100)}%`;
+    m.title = `${fmtOffset(off)} ${ev.type} ${JSON.stringify(ev.detail || {})}`;
+    m.addEventListener('click', (e) => { e.stopPropagation(); seek(off); });
+    timeline.appendChild(m);
+  }
+}
+
+function renderEvents() {
+  eventsList.innerHTML = '';
+  for (const ev of current.session.events) {
+    if (ev.type === 'detection_telemetry' || ev.type === 'attention_sample') continue;
+    const off = eventOffsetSec(ev, current.originMs);
+    const li = document.createElement('li');
+    li.textContent = `[${fmtOffset(off)}] ${ev.type} — ${JSON.stringify(ev.detail || {})}`;
+    if (ev.snapshot) {
+      const img = document.createElement('img');
+      img.src = ev.snapshot.path; img.className = 'snapshot'; img.alt = `${ev.type} snapshot`;
+      li.prepend(img);
+    }
+    li.addEventListener('click', () => seek(off));
+    eventsList.appendChild(li);
+  }
+}
+
+function calibrationText(c) {
+  if (!c) return 'not calibrated';
+  if (!c.ok) return `calibration failed (${c.reason})`;
+  const b = c.baseline;
+  return b.yaw == null ? 'calibrated (face position only)' : `calibrated (yaw ${Math.round(b.yaw)}°, pitch ${Math.round(b.pitch)}°)`;
+}
+
+function telemetryText(t) {
+  if (!t) return 'no detection telemetry';
+  const where = t.worker ? '' : ', main thread';
+  const degraded = t.degraded.length ? `, degraded ${t.degraded.length}x` : '';
+  return `detection ${t.backends.join('/')}${where}, ${t.fps} fps${degraded}`;
+}
+
+function renderIdentity(identity) {
+  identityBox.innerHTML = '';
+  const images = [];
+  if (identity && identity.reference) images.push({ ...identity.reference, label: 'Reference photo' });
+  for (const img of (identity && identity.enrollment) || []) images.push({ ...img, label: 'Enrollment' });
+  identityBox.hidden = !images.length;
+  for (const img of images) {
+    const fig = document.createElement('figure');
+    const el = document.createElement('img');
+    el.src = img.path; el.className = 'snapshot'; el.alt = img.label;
+    const cap = document.createElement('figcaption');
+    cap.textContent = img.label;
+    fig.append(el, cap);
+    identityBox.appendChild(fig);
+  }
+  if (identity && identity.reference && identity.referenceSimilarity != null) {
+    const p = document.createElement('p');
+    p.textContent = `Reference similarity: ${identity.referenceSimilarity}`;
+    identityBox.appendChild(p);
+  }
+}
+
+function renderReportLinks(id) {
+  reportLinks.innerHTML = '';
+  const base = `/api/sessions/${encodeURIComponent(id)}/report`;
+  for (const fmt of ['pdf', 'csv', 'json']) {
+    const a = document.createElement('a');
+    a.href = `${base}?format=${fmt}`;
+    a.textContent = `Report ${fmt.toUpperCase()}`;
+    a.style.marginRight = '8px';
+    reportLinks.appendChild(a);
+  }
+  const verifyBtn = document.createElement('button');
+  verifyBtn.type = 'button';
+  verifyBtn.textContent = 'Verify event log';
+  const result = document.createElement('span');
+  verifyBtn.addEventListener('click', () => verifyChain(id, result));
+  reportLinks.append(verifyBtn, ' ', result);
+}
+
+// GET /api/sessions/:id/verify: re-check the event hash chain and its seal
+async function verifyChain(id, out) {
+  out.textContent = 'verifying…';
+  try {
+    const resp = await staffFetch(`/api/sessions/${encodeURIComponent(id)}/verify`);
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const v = await resp.json();
+    const legacy = v.legacy ? `, ${v.legacy} unchained (older) events` : '';
+    if (v.ok) {
+      out.textContent = `✓ ${v.chained} events intact${legacy}; ${v.sealed ? `sealed ${v.seal.sealedAt}` : 'not sealed yet'}`;
+      return;
+    }
+    const problems = v.breaks.map(b => `#${b.position} ${b.type}: ${b.reason}`).concat((v.seal && v.seal.problems) || []);
+    out.textContent = `✗ ${problems.join('; ')}`;
+  } catch (e) {
+    out.textContent = `verification failed (${e.message})`;
+  }
+}
+
+async function openSession(id) {
+  const resp = await staffFetch(`/api/sessions/${encodeURIComponent(id)}`);
+  if (!resp.ok) { sessionInfo.textContent = `Failed to load session (${resp.status})`; return; }
+  const s = await resp.json();
+  s.events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const startEv = s.events.find(e => e.type === 'session_start');
+  const originMs = new Date(startEv ? startEv.timestamp : s.startedAt).getTime();
+  current = { session: s, originMs, durationSec: (s.durationMs || 0) / 1000, segments: videoSegments(s, originMs), segment: 0, pendingSeek: 0 };
+
+  sessionsList.querySelectorAll('li').forEach(li => li.classList.toggle('active', li.dataset.id === id));
+  sessionInfo.textContent = `${s.candidateName} — ${s.startedAt || 'not started'} — ${s.status} — ${calibrationText(s.calibration)} — ${telemetryText(s.telemetry)}` +
+    (s.attention ? ` — ${s.attention.focusedPct}% focused` : '') +
+    (s.delivery && s.delivery.missingCount ? ` — ${s.delivery.missingCount} events lost in transit` : '') +
+    (s.consent ? ` — consent v${s.consent.version}` : ' — no consent recorded') +
+    (s.deadline ? ` — deadline ${s.deadline}${s.endReason === 'time_limit' ? ' (stopped at the time limit)' : ''}` : '') +
+    (s.purged ? ` — purged: ${Object.keys(s.purged).join(', ')}` : '') +
+    (s.video ? (current.segments.length > 1 ? ` — video in ${current.segments.length} segments` : '') : ' — no video uploaded');
+  if (current.segments.length) loadSegment(0, 0);
+  else player.removeAttribute('src');
+  renderEvents();
+  renderIdentity(s.identity);
+  renderReportLinks(s.id);
+  drawTimeline();
+}
+
+function sessionItem(s) {
+  const li = document.createElement('li');
+  li.dataset.id = s.id;
+  const when = s.startedAt ? new Date(s.startedAt).toLocaleString() : 'invited';
+  li.textContent = `${s.candidateName} · ${when} · ${s.eventCount} events${s.video ? ' · 🎥' : ''}${s.endReason === 'time_limit' ? ' · ⏱' : ''}`;
+  li.addEventListener('click', () => openSession(s.id));
+  return li;
+}
+
+// Exam heading: title, window and links to the exam summary
+function examHeader(exam) {
+  const li = document.createElement('li');
+  li.className = 'exam-header';
+  const from = new Date(exam.startsAt).toLocaleString();
+  const to = new Date(exam.endsAt).toLocaleString();
+  li.textContent = `${exam.title} · ${from} – ${to} · ${exam.window} `;
+  for (const fmt of ['csv', 'json']) {
+    const a = document.createElement('a');
+    a.href = `/api/exams/${encodeURIComponent(exam.id)}/report?format=${fmt}`;
+    a.textContent = `Summary ${fmt.toUpperCase()}`;
+    a.style.marginRight = '6px';
+    li.appendChild(a);
+  }
+  return li;
+}
+
+async function loadSessions() {
+  try {
+    const [resp, examsResp] = await Promise.all([staffFetch('/api/sessions'), staffFetch('/api/exams')]);
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    if (!examsResp.ok) throw new Error(`status ${examsResp.status}`);
+    const list = await resp.json();
+    const exams = await examsResp.json();
+    sessionsList.innerHTML = '';
+    for (const exam of exams) {
+      sessionsList.appendChild(examHeader(exam));
+      for (const s of list.filter(x => x.examId === exam.id)) sessionsList.appendChild(sessionItem(s));
+    }
+    const others = list.filter(s => !s.examId || !exams.some(e => e.id === s.examId));
+    if (exams.length && others.length) {
+      const li = document.createElement('li');
+      li.className = 'exam-header';
+      li.textContent = 'Sessions outside an exam';
+      sessionsList.appendChild(li);
+    }
+    for (const s of others) sessionsList.appendChild(sessionItem(s));
+    if (!list.length) sessionsList.textContent = 'No sessions yet.';
+  } catch (e) {
+    console.error('loadSessions failed', e);
+    sessionsList.textContent = 'Failed to load sessions.';
+  }
+}
+
+// MediaRecorder WebM files often report an Infinity duration until the end
+// has been seen; seeking far past the end makes the browser compute it.
+player.addEventListener('loadedmetadata', () => {
+  const start = current ? current.pendingSeek : 0;
+  if (player.duration === Infinity) {
+    player.currentTime = 1e101;
+    player.addEventListener('timeupdate', function fix() {
+      player.removeEventListener('timeupdate', fix);
+      player.currentTime = start;
+      drawTimeline();
+    });
+  } else {
+    player.currentTime = start;
+    drawTimeline();
+  }
+});
+
+player.addEventListener('timeupdate', () => {
+  const total = timelineDuration();
+  playhead.style.left = total ? `${Math.min(100, (playheadSec() / total) * 100)}%` : '0';
+});
+
+// Carry on with the next segment
+player.addEventListener('ended', () => {
+  if (!current || current.segment + 1 >= current.segments.length) return;
+  loadSegment(current.segment + 1, 0);
+  player.play().catch(() => {});
+});
+
+timeline.addEventListener('click', (e) => {
+  const total = timelineDuration();
+  if (!total) return;
+  const rect = timeline.getBoundingClientRect();
+  seek(((e.clientX - rect.left) / rect.width) * total);
+});
+
+window.addEventListener('load', loadSessions);
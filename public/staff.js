@@ -0,0 +1,35 @@
+/* public/staff.js
+   Shared by the staff pages (review, proctor console):
+   - staffFetch(): fetch() that sends to /login when the session cookie is
+     missing or expired (401)
+   - Logout link in the page header (#logoutBtn)
+   Staff authenticate with an HttpOnly cookie set by /api/auth/login, so
+   <video>, <img>, downloads and EventSource are authorized without headers.
+*/
+
+function redirectToLogin() {
+  location.href = `/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+}
+
+async function staffFetch(url, opts) {
+  const resp = await fetch(url, opts);
+  if (resp.status === 401) {
+    redirectToLogin();
+    throw new Error('authentication required');
+  }
+  return resp;
+}
+
+async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (e) {
+    console.warn('logout failed', e);
+  }
+  redirectToLogin();
+}
+
+window.addEventListener('load', () => {
+  const btn = document.getElementById('logoutBtn');
+  if (btn) btn.addEventListener('click', logout);
+});
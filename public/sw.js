@@ -0,0 +1,77 @@
+/* public/sw.js
+   Service worker for the candidate page, so a session can start on a flaky
+   network once the page has been opened before:
+   - Precaches every verified library and model file listed by /api/assets.
+     Those URLs are versioned or hash-pinned, so they are served cache-first.
+   - Page files (index.html, app.js, ...) and /api/assets are network-first,
+     falling back to the cached copy when the request fails.
+   - Every other /api/ request goes straight to the network.
+*/
+
+const ASSETS_CACHE = 'proctoring-assets';
+const PAGES_CACHE = 'proctoring-pages';
+const PAGE_FILES = ['/', '/app.js', '/attention.js', '/detection-core.js', '/face-signature.js', '/inference.js', '/outbox.js', '/style.css'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const pages = await caches.open(PAGES_CACHE);
+    await pages.addAll(PAGE_FILES);
+    const resp = await fetch('/api/assets');
+    if (resp.ok) {
+      await pages.put('/api/assets', resp.clone());
+      const { files } = await resp.json();
+      const assets = await caches.open(ASSETS_CACHE);
+      const have = new Set((await assets.keys()).map(r => new URL(r.url).pathname));
+      await assets.addAll(files.filter(f => !have.has(f)));
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name !== ASSETS_CACHE && name !== PAGES_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+async function cacheFirst(req) {
+  const cached = await caches.match(req);
+  if (cached) return cached;
+  const resp = await fetch(req);
+  if (resp.ok) (await caches.open(ASSETS_CACHE)).put(req, resp.clone());
+  return resp;
+}
+
+async function networkFirst(req, key) {
+  try {
+    const resp = await fetch(req);
+    if (resp.ok) (await caches.open(PAGES_CACHE)).put(key, resp.clone());
+    return resp;
+  } catch (e) {
+    const cached = await caches.match(key, { ignoreSearch: true });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/vendor/') || url.pathname.startsWith('/models/')) {
+    event.respondWith(cacheFirst(req));
+  } else if (url.pathname === '/api/assets') {
+    event.respondWith(networkFirst(req, '/api/assets'));
+  } else if (url.pathname.startsWith('/api/')) {
+    // not cached: events, uploads and the live channel need the server
+  } else if (req.mode === 'navigate' && url.pathname === '/') {
+    // the invite link carries ?invite=...; fall back to the cached page without it
+    event.respondWith(networkFirst(req, '/'));
+  } else if (PAGE_FILES.includes(url.pathname)) {
+    event.respondWith(networkFirst(req, url.pathname));
+  }
+});